@@ -0,0 +1,62 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { runFfmpeg } = require('../lib/ffmpeg');
+const { invalidOptions } = require('../lib/options');
+const { videoFormats, mediaOptions } = require('../lib/media');
+
+const animationOptions = {
+  start: mediaOptions.start,
+  end: mediaOptions.end,
+  fps: { type: 'integer', min: 1, max: 50, default: 10 },
+  width: { type: 'integer', min: 16, max: 1920, default: 480, description: 'Frame width in pixels; height follows the aspect ratio' },
+  loop: { type: 'integer', min: 0, max: 65535, default: 0, description: 'How many times the animation plays; 0 loops forever' },
+  quality: { type: 'integer', min: 0, max: 100, default: 75, description: 'WebP only' },
+};
+
+// GIF output goes through a palette generated from the clip itself, which looks far better
+// than the fixed web palette; frames only differing slightly share most of it (stats_mode=diff)
+const gifFilter = (fps, width) => `fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b];`
+  + '[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle';
+
+// The GIF muxer counts extra repeats (-1 plays once), the WebP muxer counts plays
+const loopArg = (to, loop) => String(to === 'gif' && loop > 0 ? (loop === 1 ? -1 : loop - 1) : loop);
+
+async function convertAnimation({ inputPath, outputPath, to, options, onProgress, signal }) {
+  const { start, end, fps, width, loop, quality } = options;
+  const command = ffmpeg(inputPath);
+  if (start !== undefined) command.inputOptions(['-ss', String(start)]);
+  const outputOptions = ['-threads', '1', '-an'];
+  if (end !== undefined) outputOptions.push('-t', String(end - (start || 0)));
+  if (to === 'gif') {
+    outputOptions.push('-filter_complex', gifFilter(fps, width));
+  } else {
+    outputOptions.push('-vf', `fps=${fps},scale=${width}:-1:flags=lanczos`, '-c:v', 'libwebp', '-q:v', String(quality), '-preset', 'picture');
+  }
+  outputOptions.push('-loop', loopArg(to, loop));
+  command.outputOptions(outputOptions).output(outputPath);
+  try {
+    await runFfmpeg(command, { signal, onProgress, label: `FFmpeg (animated ${to})` });
+    console.log(`Video to animated ${to} conversion completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new Error(`Video to animated ${to} conversion failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: 'animation',
+  types: ['video', 'image'],
+  description: 'Animated GIF (with a generated palette) and animated WebP from video clips',
+  conversions: [
+    { from: videoFormats, to: ['gif', 'webp'] },
+  ],
+  options: animationOptions,
+  validateOptions: ({ to, options }) => {
+    if (options.start !== undefined && options.end !== undefined && options.end <= options.start) {
+      throw invalidOptions('end must be after start.');
+    }
+    if (to === 'gif' && options.quality !== animationOptions.quality.default) {
+      throw invalidOptions('quality only applies to webp output.');
+    }
+  },
+  convert: convertAnimation,
+};
@@ -0,0 +1,93 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { invalidOptions } = require('../lib/options');
+const { archiveInputs, archiveOutputs, extractArchive, createArchive, bundleFiles, removeDir } = require('../lib/archive');
+
+// Extraction to single files stops here; larger archives can still be repacked
+const maxExtractedFiles = 200;
+
+const archiveOptions = {
+  level: { type: 'integer', min: 0, max: 9, description: '7-Zip compression level (0 stores, 9 compresses most); not for tar' },
+};
+
+// Flatten an entry path into one served file name: "docs/read me.txt" → "docs_read_me.txt"
+const flatName = (name) => name.replace(/[^a-zA-Z0-9-_.]+/g, '_').replace(/^[_.]+/, '').slice(-100) || 'file';
+
+async function extractFiles({ inputPath, outputPath, from, name, signal }) {
+  const { dir, files } = await extractArchive(inputPath, from, { name, signal });
+  try {
+    if (files.length > maxExtractedFiles) {
+      const err = new Error(`${name} holds ${files.length} files; at most ${maxExtractedFiles} are extracted one by one. Repack it instead.`);
+      err.status = 400;
+      throw err;
+    }
+    // Served next to each other, so names get the output prefix and are made unique
+    const base = path.basename(outputPath, path.extname(outputPath));
+    const taken = new Set();
+    const outputs = [];
+    try {
+      for (const file of files) {
+        const flat = flatName(file.name);
+        const ext = path.extname(flat);
+        const stem = flat.slice(0, flat.length - ext.length);
+        let target = `${base}-${stem}${ext}`;
+        for (let i = 2; taken.has(target.toLowerCase()); i++) target = `${base}-${stem}-${i}${ext}`;
+        taken.add(target.toLowerCase());
+        const targetPath = path.join(path.dirname(outputPath), target);
+        await fsPromises.rename(file.path, targetPath);
+        outputs.push(targetPath);
+      }
+    } catch (err) {
+      await Promise.all(outputs.map(output => fsPromises.rm(output, { force: true })));
+      throw err;
+    }
+    console.log(`Archive extraction completed: ${files.length} files from ${name}`);
+    return outputs;
+  } finally {
+    await removeDir(dir);
+  }
+}
+
+async function convertArchive(context) {
+  const { inputPath, outputPath, from, to, name, options, signal } = context;
+  try {
+    if (to === 'extract') {
+      return await extractFiles(context);
+    }
+    if (archiveInputs.includes(from)) {
+      // Repack: the new archive holds the old one's contents, not the old archive itself
+      const { dir, contentDir } = await extractArchive(inputPath, from, { name, signal });
+      try {
+        await createArchive(contentDir, outputPath, to, { level: options.level, signal });
+      } finally {
+        await removeDir(dir);
+      }
+    } else {
+      await bundleFiles([{ path: inputPath, name }], outputPath, to, { level: options.level, signal });
+    }
+    console.log(`Archive conversion completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    console.error(`Archive conversion error: ${err.message}`);
+    if (err.status) throw err;
+    throw new Error(`Archive conversion failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: 'archive',
+  types: ['archive'],
+  description: 'Repack archives between ZIP, 7z, tar, tar.gz and tar.xz, extract them into single files, or pack any file under its own name',
+  // '*' accepts any file another converter accepts
+  conversions: [
+    { from: archiveInputs, to: [...archiveOutputs, 'extract'] },
+    { from: ['*'], to: archiveOutputs },
+  ],
+  options: archiveOptions,
+  validateOptions: ({ to, options }) => {
+    if (options.level !== undefined && (to === 'tar' || to === 'extract')) {
+      throw invalidOptions(`level does not apply to ${to} output.`);
+    }
+  },
+  convert: convertArchive,
+};
@@ -0,0 +1,57 @@
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+const { optimize } = require('svgo');
+const { runWithSignal } = require('../lib/process');
+const { invalidOptions } = require('../lib/options');
+const { imageOptions, checkImageOptions, applyImageOptions, encoderOptions } = require('../lib/imaging');
+
+// Compression defaults, overridable through the quality and effort options
+const compressorDefaults = {
+  jpeg: { quality: 80 },
+  png: { compressionLevel: 9 },
+};
+
+async function compressSvg(inputPath, outputPath) {
+  const svgData = await fsPromises.readFile(inputPath, 'utf-8');
+  const result = optimize(svgData, {
+    multipass: true,
+    plugins: [{ name: 'preset-default' }, { name: 'removeViewBox', active: false }],
+  });
+  if (result.error) {
+    throw new Error(`SVG compression failed: ${result.error}`);
+  }
+  await fsPromises.writeFile(outputPath, result.data);
+  console.log(`SVG compression completed: ${outputPath}`);
+}
+
+async function compressImage({ inputPath, outputPath, to, options, signal }) {
+  if (to === 'svg') {
+    return compressSvg(inputPath, outputPath);
+  }
+  const format = to === 'jpg' ? 'jpeg' : to;
+  const encoder = { ...compressorDefaults[format] };
+  Object.entries(encoderOptions(to, options)).forEach(([key, value]) => {
+    if (value !== undefined) encoder[key] = value;
+  });
+  const image = await applyImageOptions(sharp(inputPath), options, to);
+  await runWithSignal(signal, () => image.toFormat(format, encoder).toFile(outputPath));
+  console.log(`Image compression (Sharp) completed: ${outputPath}`);
+}
+
+module.exports = {
+  name: 'compressor',
+  types: ['compressor'],
+  description: 'Re-encode JPEG and PNG at smaller sizes and minify SVG with svgo',
+  conversions: [
+    { from: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff'], to: ['jpg', 'jpeg', 'png'] },
+    { from: ['svg'], to: ['svg'] },
+  ],
+  options: imageOptions,
+  validateOptions: ({ from, to, options }) => {
+    if (to === 'svg' && Object.keys(options).some(key => options[key] !== imageOptions[key].default)) {
+      throw invalidOptions('SVG compression takes no options.');
+    }
+    checkImageOptions(from, to, options);
+  },
+  convert: compressImage,
+};
@@ -0,0 +1,69 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { officeConvert, removeOfficeOutput } = require('../lib/office');
+
+const textDocuments = ['doc', 'docx', 'odt', 'rtf', 'txt', 'md', 'html'];
+const spreadsheets = ['xls', 'xlsx', 'ods', 'csv'];
+const presentations = ['ppt', 'pptx', 'odp'];
+
+// --convert-to targets where the bare extension is ambiguous or picks the wrong encoding.
+// The CSV filter's 12th token (-1) exports every sheet to its own `<name>-<sheet>.csv`.
+const exportFilters = {
+  txt: 'txt:Text (encoded):UTF8',
+  csv: 'csv:Text - txt - csv (StarCalc):44,34,UTF8,1,,0,false,true,false,false,false,-1',
+};
+
+const safeName = (name) => name.replace(/[^a-zA-Z0-9-_]/g, '_');
+
+// Copy one CSV per sheet next to `outputPath`, named after the sheet
+async function collectSheets(files, inputPath, outputPath) {
+  const inputBase = path.basename(inputPath, path.extname(inputPath));
+  const outputBase = path.join(path.dirname(outputPath), path.basename(outputPath, '.csv'));
+  const outputs = [];
+  try {
+    for (const file of files.filter(name => name.endsWith('.csv'))) {
+      const sheet = path.basename(file, '.csv').slice(inputBase.length + 1);
+      const target = sheet ? `${outputBase}-${safeName(sheet)}.csv` : outputPath;
+      await fsPromises.copyFile(file, target);
+      outputs.push(target);
+    }
+    if (outputs.length === 0) {
+      throw new Error('LibreOffice produced no CSV sheets');
+    }
+  } catch (err) {
+    await Promise.all(outputs.map(file => fsPromises.unlink(file).catch(() => {})));
+    throw err;
+  }
+  return outputs;
+}
+
+async function convertDocument({ inputPath, outputPath, from, to, signal }) {
+  const { dir, files } = await officeConvert(inputPath, exportFilters[to] || to, { signal });
+  try {
+    if (to === 'csv' && spreadsheets.includes(from)) {
+      const sheets = await collectSheets(files, inputPath, outputPath);
+      console.log(`Document conversion completed: ${sheets.length} sheets`);
+      return sheets;
+    }
+    // HTML export may write images alongside; only the document itself is kept
+    const output = files.find(file => file.endsWith(`.${to}`)) || files[0];
+    await fsPromises.copyFile(output, outputPath);
+    console.log(`Document conversion completed: ${outputPath}`);
+  } finally {
+    await removeOfficeOutput(dir);
+  }
+}
+
+module.exports = {
+  name: 'document',
+  types: ['document', 'pdfs'],
+  description: 'Office and OpenDocument conversion with LibreOffice: to and from PDF, ODF ⇄ OOXML, and spreadsheets to one CSV per sheet',
+  conversions: [
+    { from: textDocuments, to: ['pdf', 'docx', 'doc', 'odt', 'rtf', 'txt', 'html'] },
+    { from: spreadsheets, to: ['pdf', 'xlsx', 'xls', 'ods', 'csv', 'html'] },
+    { from: presentations, to: ['pdf', 'pptx', 'ppt', 'odp'] },
+    { from: ['pdf'], to: ['docx', 'odt'] },
+  ],
+  options: {},
+  convert: convertDocument,
+};
@@ -0,0 +1,82 @@
+const { runTool } = require('../lib/process');
+const { invalidOptions } = require('../lib/options');
+const { ebookFormats, coverImages, metadataOptions, metadataArgs } = require('../lib/calibre');
+
+// Documents Calibre turns into books. PDF is only an input: PDF → PDF would gain nothing.
+const documentInputs = ['docx', 'html', 'md', 'txt'];
+
+const margin = { type: 'number', min: 0, max: 200 };
+
+const ebookOptions = {
+  ...metadataOptions,
+  outputProfile: {
+    type: 'string',
+    enum: ['default', 'tablet', 'kindle', 'kindle_pw3', 'kindle_oasis', 'kindle_scribe', 'kindle_fire', 'kobo', 'nook', 'generic_eink', 'generic_eink_hd'],
+    description: 'Device the book is tailored for: screen size, image and font sizes',
+  },
+  margins: {
+    type: 'object',
+    description: 'Page margins in points',
+    properties: { top: margin, right: margin, bottom: margin, left: margin },
+  },
+  embedFonts: { type: 'boolean', default: false, description: 'Embed every font the book uses' },
+  toc: {
+    type: 'string',
+    enum: ['auto', 'headings'],
+    default: 'auto',
+    description: 'auto keeps the table of contents the book has or Calibre detects; headings builds it from h1-h3',
+  },
+  cover: {
+    type: 'string',
+    pattern: '^[a-f0-9]{32}$',
+    description: `Id of a finished resumable upload (${coverImages.join(', ')}) to use as the cover`,
+  },
+};
+
+// `coverPath` is the claimed upload the cover option named
+function ebookArgs(from, to, options, coverPath) {
+  const args = metadataArgs(options);
+  if (coverPath) args.push('--cover', coverPath);
+  // Markdown goes through Calibre's TXT input, which otherwise guesses the formatting
+  if (from === 'md') args.push('--formatting-type', 'markdown');
+  if (options.outputProfile) args.push('--output-profile', options.outputProfile);
+  if (options.margins) {
+    // PDF output has page margins of its own that take precedence over the general ones
+    const prefix = to === 'pdf' ? '--pdf-page-margin-' : '--margin-';
+    Object.entries(options.margins).forEach(([side, value]) => args.push(`${prefix}${side}`, String(value)));
+  }
+  if (options.embedFonts) args.push('--embed-all-fonts');
+  if (options.toc === 'headings') {
+    args.push('--level1-toc', '//h:h1', '--level2-toc', '//h:h2', '--level3-toc', '//h:h3', '--use-auto-toc');
+  }
+  return args;
+}
+
+async function convertEbook({ inputPath, outputPath, from, to, options, cover, signal }) {
+  try {
+    await runTool('ebook-convert', [inputPath, outputPath, ...ebookArgs(from, to, options, cover)], { signal });
+    console.log(`Ebook conversion completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    console.error(`Ebook conversion error: ${err.message}`);
+    throw new Error(`Ebook conversion failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: 'ebook',
+  types: ['ebook'],
+  description: 'Ebook conversion with Calibre ebook-convert: metadata, cover, device profiles, margins, font embedding and table of contents',
+  conversions: [
+    { from: ebookFormats, to: ['epub', 'mobi', 'azw3', 'pdf'] },
+    { from: documentInputs, to: ['epub', 'azw3', 'pdf'] },
+    { from: ['pdf'], to: ['epub', 'azw3'] },
+  ],
+  options: ebookOptions,
+  validateOptions: ({ options }) => {
+    if (options.margins && Object.keys(options.margins).length === 0) {
+      throw invalidOptions('margins needs at least one of top, right, bottom, left.');
+    }
+  },
+  convert: convertEbook,
+};
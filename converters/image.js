@@ -0,0 +1,187 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const bmp = require('../lib/codecs/bmp');
+const ico = require('../lib/codecs/ico');
+const tga = require('../lib/codecs/tga');
+const wbmp = require('../lib/codecs/wbmp');
+const { tempDir } = require('../lib/config');
+const { runWithSignal, runTool } = require('../lib/process');
+const { imageOptions, checkImageOptions, applyImageOptions, encoderOptions } = require('../lib/imaging');
+
+// Formats sharp can encode itself; the rest go through lib/codecs, pdfkit or Ghostscript
+const sharpOutputs = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff'];
+const rasterInputs = [...sharpOutputs, 'bmp', 'ico', 'tga', 'wbmp'];
+const rasterOutputs = [...sharpOutputs, 'bmp', 'ico', 'tga', 'wbmp'];
+const pixelCodecs = { bmp, tga, wbmp };
+const defaultIconSizes = [16, 32, 48, 64, 128, 256];
+const defaultDensity = 72;
+
+const rawImage = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 4 } });
+
+// Render an EPS file to PNG with Ghostscript, cropped to its bounding box
+async function rasterizeEps(inputPath, density, signal) {
+  const pngPath = path.join(tempDir, `${path.basename(inputPath)}.png`);
+  try {
+    await runTool('gs', [
+      '-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET', '-dEPSCrop',
+      '-sDEVICE=pngalpha',
+      `-r${density}`,
+      `-sOutputFile=${pngPath}`,
+      inputPath,
+    ], { signal });
+    return await fsPromises.readFile(pngPath);
+  } finally {
+    await fsPromises.unlink(pngPath).catch(() => {});
+  }
+}
+
+// Run a built-in codec; a file it cannot decode is a bad upload, answered with a 400
+function decodeUpload(codec, buffer, from) {
+  try {
+    return codec.decode(buffer);
+  } catch (err) {
+    const error = new Error(`The ${from.toUpperCase()} file could not be decoded: ${err.message}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Open the input as a sharp pipeline, decoding the formats libvips does not read
+async function loadImage(inputPath, from, options, signal) {
+  const density = options.density || defaultDensity;
+  switch (from) {
+    case 'svg':
+      return sharp(inputPath, { density });
+    case 'eps':
+      return sharp(await rasterizeEps(inputPath, density, signal));
+    case 'ico': {
+      const icon = decodeUpload(ico, await fsPromises.readFile(inputPath), from);
+      return icon.png ? sharp(icon.png) : rawImage(icon);
+    }
+    case 'bmp':
+    case 'tga':
+    case 'wbmp':
+      return rawImage(decodeUpload(pixelCodecs[from], await fsPromises.readFile(inputPath), from));
+    default:
+      return sharp(inputPath);
+  }
+}
+
+function writePdf(png, outputPath, size) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(size ? { size, margin: 0 } : undefined);
+    const stream = fs.createWriteStream(outputPath);
+    doc.pipe(stream);
+    doc.image(png, size ? { width: size[0], height: size[1] } : { fit: [595, 842] });
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+async function convertImageToPdf(image, outputPath, signal) {
+  // pdfkit only embeds JPEG and PNG, so everything else goes through a PNG buffer first
+  const png = await runWithSignal(signal, () => image.png().toBuffer());
+  try {
+    await runWithSignal(signal, () => writePdf(png, outputPath));
+    console.log(`Image to PDF conversion completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    console.error(`Image to PDF conversion failed: ${err.message}`);
+    throw new Error(`Image to PDF conversion failed: ${err.message}`);
+  }
+}
+
+// EPS output: a PDF page the size of the image (one pixel per point), converted by Ghostscript
+async function convertImageToEps(image, outputPath, signal) {
+  const { data: png, info } = await runWithSignal(signal, () => image.png().toBuffer({ resolveWithObject: true }));
+  const pdfPath = path.join(tempDir, `${path.basename(outputPath)}.pdf`);
+  try {
+    await runWithSignal(signal, () => writePdf(png, pdfPath, [info.width, info.height]));
+    await runTool('gs', [
+      '-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET',
+      '-sDEVICE=eps2write',
+      `-sOutputFile=${outputPath}`,
+      pdfPath,
+    ], { signal });
+    console.log(`Image to EPS conversion completed: ${outputPath}`);
+  } finally {
+    await fsPromises.unlink(pdfPath).catch(() => {});
+  }
+}
+
+// SVG output embeds the processed image as a PNG data URI
+async function convertImageToSvg(image, outputPath, signal) {
+  const { data, info } = await runWithSignal(signal, () => image.png().toBuffer({ resolveWithObject: true }));
+  const { width, height } = info;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<image width="${width}" height="${height}" xlink:href="data:image/png;base64,${data.toString('base64')}"/></svg>\n`;
+  await fsPromises.writeFile(outputPath, svg);
+  console.log(`Image to SVG conversion completed: ${outputPath}`);
+}
+
+// ICO output packs one PNG per size. Without explicit sizes, sizes larger than the image are
+// skipped rather than upscaled.
+async function convertImageToIco(image, outputPath, options, signal) {
+  const { data: png, info } = await runWithSignal(signal, () => image.png().toBuffer({ resolveWithObject: true }));
+  let sizes = options.sizes;
+  if (!sizes) {
+    const largest = Math.max(info.width, info.height);
+    sizes = defaultIconSizes.filter(size => size <= largest);
+    if (sizes.length === 0) sizes = [defaultIconSizes[0]];
+  }
+  const images = [];
+  for (const size of [...new Set(sizes)].sort((a, b) => a - b)) {
+    const resized = await runWithSignal(signal, () => sharp(png)
+      .resize(size, size, { fit: 'contain', background: '#00000000' })
+      .png()
+      .toBuffer());
+    images.push({ size, png: resized });
+  }
+  await fsPromises.writeFile(outputPath, ico.encode(images));
+  console.log(`Image to ICO conversion completed: ${outputPath} (${images.map(entry => entry.size).join(', ')})`);
+}
+
+async function convertImage({ inputPath, outputPath, from, to, options, signal }) {
+  const image = await applyImageOptions(await loadImage(inputPath, from, options, signal), options, to);
+  switch (to) {
+    case 'pdf':
+      return convertImageToPdf(image, outputPath, signal);
+    case 'eps':
+      return convertImageToEps(image, outputPath, signal);
+    case 'svg':
+      return convertImageToSvg(image, outputPath, signal);
+    case 'ico':
+      return convertImageToIco(image, outputPath, options, signal);
+    case 'bmp':
+    case 'tga':
+    case 'wbmp': {
+      const { data, info } = await runWithSignal(signal, () => image.ensureAlpha().raw().toBuffer({ resolveWithObject: true }));
+      await fsPromises.writeFile(outputPath, pixelCodecs[to].encode({ data, width: info.width, height: info.height }));
+      console.log(`Image conversion (${to}) completed: ${outputPath}`);
+      return;
+    }
+    default:
+      await runWithSignal(signal, () => image
+        .toFormat(to === 'jpg' ? 'jpeg' : to, encoderOptions(to, options))
+        .toFile(outputPath));
+      console.log(`Image conversion (Sharp) completed: ${outputPath}`);
+  }
+}
+
+module.exports = {
+  name: 'image',
+  types: ['image'],
+  description: 'Raster, SVG and EPS image conversion with sharp, built-in BMP/ICO/TGA/WBMP codecs and Ghostscript, and single-page PDFs with pdfkit',
+  conversions: [
+    { from: [...rasterInputs, 'svg', 'eps'], to: [...rasterOutputs, 'pdf'] },
+    { from: [...rasterInputs, 'eps'], to: ['svg'] },
+    { from: [...rasterInputs, 'svg'], to: ['eps'] },
+  ],
+  options: imageOptions,
+  validateOptions: ({ from, to, options }) => checkImageOptions(from, to, options),
+  convert: convertImage,
+};
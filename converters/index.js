@@ -0,0 +1,131 @@
+// Converter registry. Each converter module declares the input → output pairs it supports
+// (`conversions`), the frontend types it answers to (`types`) and the options it accepts
+// (`options`, see lib/options.js, plus an optional `validateOptions` hook for checks that
+// depend on the formats involved), and exposes `convert(context)`. The context carries the
+// paths, formats, options and the upload's original `name`. `convert` writes to
+// `context.outputPath`, or resolves with an array of the paths it wrote when one input yields
+// several files (written next to `outputPath`, in the same directory). Dispatch, upload
+// filtering and GET /api/formats all read from here, so adding a format means touching
+// exactly one converter module.
+
+const { validateOptions } = require('../lib/options');
+
+const converters = [];
+
+// Normalize a converter's `conversions` list into a Map of input → Set of outputs.
+// The '*' input wildcard is kept as-is and expanded against every other converter's inputs.
+const pairsOf = (converter) => {
+  const pairs = new Map();
+  for (const { from, to } of converter.conversions) {
+    for (const input of from) {
+      if (!pairs.has(input)) pairs.set(input, new Set());
+      to.forEach(output => pairs.get(input).add(output));
+    }
+  }
+  return pairs;
+};
+
+function registerConverter(converter) {
+  const missing = ['name', 'types', 'conversions', 'convert'].filter(key => !converter[key]);
+  if (missing.length) {
+    throw new Error(`Converter ${converter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  if (converters.some(existing => existing.name === converter.name)) {
+    throw new Error(`Converter already registered: ${converter.name}`);
+  }
+  converters.push({ options: {}, ...converter, pairs: pairsOf(converter) });
+}
+
+// Every concrete input format some converter accepts
+function acceptedInputs() {
+  const inputs = new Set();
+  converters.forEach(converter => converter.pairs.forEach((outputs, input) => {
+    if (input !== '*') inputs.add(input);
+  }));
+  return [...inputs].sort();
+}
+
+// Types of the converters that take `format` as a concrete input, for per-type upload limits
+function inputTypes(format) {
+  return [...new Set(converters.filter(converter => converter.pairs.has(format)).flatMap(converter => converter.types))];
+}
+
+function knownTypes() {
+  return [...new Set(converters.flatMap(converter => converter.types))];
+}
+
+const supports = (converter, from, to) => {
+  const outputs = converter.pairs.get(from) || (acceptedInputs().includes(from) && converter.pairs.get('*'));
+  return Boolean(outputs && outputs.has(to));
+};
+
+// Pick the converter for `from` → `to`. When several converters support the pair, the one
+// answering to the requested `type` wins, otherwise the first registered one.
+function findConverter(from, to, type) {
+  const candidates = converters.filter(converter => supports(converter, from, to));
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.find(converter => type && converter.types.includes(type)) || candidates[0];
+}
+
+// Validate per-file options for a conversion. Returns the normalized options; throws a 400
+// error when an option is unknown, malformed or does not fit the formats involved.
+function validateConversionOptions(converter, { from, to, options }) {
+  const normalized = validateOptions(converter.options, options);
+  if (converter.validateOptions) {
+    converter.validateOptions({ from, to, options: normalized });
+  }
+  return normalized;
+}
+
+// Capability matrix served by GET /api/formats
+function formatMatrix() {
+  const inputs = acceptedInputs();
+  const matrix = {};
+  inputs.forEach(from => {
+    matrix[from] = {};
+    converters.forEach(converter => {
+      const outputs = converter.pairs.get(from) || converter.pairs.get('*') || new Set();
+      outputs.forEach(to => {
+        if (!matrix[from][to]) matrix[from][to] = [];
+        matrix[from][to].push(converter.name);
+      });
+    });
+  });
+  return {
+    inputs,
+    types: knownTypes(),
+    converters: converters.map(converter => ({
+      name: converter.name,
+      types: converter.types,
+      description: converter.description,
+      conversions: converter.conversions,
+      options: converter.options,
+    })),
+    matrix,
+  };
+}
+
+[
+  require('./image'),
+  require('./compressor'),
+  require('./pdf'),
+  require('./document'),
+  require('./media'),
+  require('./animation'),
+  require('./thumbnail'),
+  require('./streaming'),
+  require('./archive'),
+  require('./ebook'),
+].forEach(registerConverter);
+
+module.exports = {
+  registerConverter,
+  findConverter,
+  validateConversionOptions,
+  acceptedInputs,
+  inputTypes,
+  knownTypes,
+  formatMatrix,
+};
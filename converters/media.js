@@ -0,0 +1,60 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { runTool } = require('../lib/process');
+const { runFfmpeg, probe } = require('../lib/ffmpeg');
+const { audioFormats, videoFormats, mediaOptions, checkMediaOptions, ffmpegArgs } = require('../lib/media');
+
+const hasUserOptions = (options) => Object.keys(options).some(key => options[key] !== mediaOptions[key].default);
+
+// visual cover without an uploaded cover falls back to the art embedded in the audio
+async function checkEmbeddedCover(inputPath, signal) {
+  const { streams = [] } = await probe(inputPath, { signal });
+  if (!streams.some(stream => stream.codec_type === 'video')) {
+    const err = new Error('visual cover needs a cover image: this audio has no embedded cover art, so upload one and pass its id as the cover option.');
+    err.status = 400;
+    throw err;
+  }
+}
+
+async function convertMedia({ inputPath, outputPath, from, to: format, options, cover, onProgress, signal }) {
+  if (options.visual === 'cover' && !cover) await checkEmbeddedCover(inputPath, signal);
+  try {
+    const { inputOptions, inputs, outputOptions } = ffmpegArgs(from, format, options, cover);
+    // ffmpeg picks the muxer from the output extension
+    const ffmpegInstance = ffmpeg(inputPath).inputOptions(inputOptions);
+    inputs.forEach(input => ffmpegInstance.input(input.source).inputOptions(input.options));
+    ffmpegInstance
+      .outputOptions(outputOptions)
+      .output(outputPath);
+    await runFfmpeg(ffmpegInstance, { signal, onProgress, label: `FFmpeg (${format})` });
+    console.log(`Media conversion completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    // The plain fallback would silently drop the options, so it only covers default conversions
+    if (hasUserOptions(options)) {
+      console.error(`FFmpeg conversion failed for ${format}: ${err.message}`);
+      throw new Error(`Media conversion failed: ${err.message}`);
+    }
+    console.warn(`Fluent-FFmpeg failed, falling back to direct FFmpeg: ${err.message}`);
+    try {
+      await runTool('ffmpeg', ['-y', '-i', inputPath, '-threads', '1', outputPath], { signal });
+      console.log(`Direct FFmpeg conversion completed: ${outputPath}`);
+    } catch (toolErr) {
+      if (signal && signal.aborted) throw toolErr;
+      console.error(`Direct FFmpeg conversion failed for ${format}: ${toolErr.message}`);
+      throw new Error(`Media conversion failed: ${toolErr.message}`);
+    }
+  }
+}
+
+module.exports = {
+  name: 'media',
+  types: ['audio', 'video'],
+  description: 'Audio and video transcoding with FFmpeg: trimming, scaling, codecs, bitrates, audio extraction and pictures for audio',
+  conversions: [
+    { from: audioFormats, to: [...audioFormats, ...videoFormats] },
+    { from: videoFormats, to: [...audioFormats, ...videoFormats] },
+  ],
+  options: mediaOptions,
+  validateOptions: ({ from, to, options }) => checkMediaOptions(from, to, options),
+  convert: convertMedia,
+};
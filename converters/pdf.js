@@ -0,0 +1,140 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { tempDir } = require('../lib/config');
+const { runWithSignal, runTool } = require('../lib/process');
+const { invalidOptions } = require('../lib/options');
+const { pagesPattern, parsePageRanges } = require('../lib/pages');
+const { writeZip } = require('../lib/zip');
+const { officeConvert, removeOfficeOutput } = require('../lib/office');
+
+const pageFormats = ['jpg', 'png', 'gif', 'webp', 'tiff'];
+
+const pdfOptions = {
+  pages: { type: 'string', pattern: pagesPattern, description: 'Pages to render in ascending order, e.g. "1-3,5,8-" (default all)' },
+  density: { type: 'integer', min: 10, max: 600, default: 100, description: 'Render resolution in DPI' },
+  width: { type: 'integer', min: 1, max: 16384, description: 'Scale every page to this width in pixels' },
+  quality: { type: 'integer', min: 1, max: 100, description: 'jpg, webp and tiff only' },
+  zip: { type: 'boolean', default: false, description: 'Return one ZIP of all pages instead of one file per page' },
+};
+
+// Ghostscript renders a page list in document order, so ranges must already be ascending
+function parsePages(pages) {
+  const ranges = parsePageRanges(pages);
+  ranges.forEach(([first], i) => {
+    if (i > 0 && first <= ranges[i - 1][1]) {
+      throw invalidOptions('pages must be listed in ascending order without overlaps.');
+    }
+  });
+  return ranges;
+}
+
+// Page number of the n-th (0-based) rendered page
+const nthPage = (ranges, n) => {
+  for (const [first, last] of ranges) {
+    if (n <= last - first) return first + n;
+    n -= last - first + 1;
+  }
+  return null;
+};
+
+// Render text documents to a temporary PDF with LibreOffice so they can be rasterized
+async function documentToPdf(inputPath, signal) {
+  try {
+    const { dir, files } = await officeConvert(inputPath, 'pdf', { signal });
+    console.log(`Text to PDF conversion completed: ${files[0]}`);
+    return { dir, pdfPath: files[0] };
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    console.error(`Text to PDF conversion failed: ${err.message}`);
+    throw new Error(`Text to PDF conversion failed: ${err.message}`);
+  }
+}
+
+// Render the selected pages to PNG with Ghostscript, then encode each one with sharp as
+// `<output name>-<page>.<format>` next to `outputPath`. Returns the page files in page order.
+async function rasterizePdf(inputPath, outputPath, format, options, onProgress, signal) {
+  const ranges = options.pages ? parsePages(options.pages) : [[1, Infinity]];
+  const outputBase = path.join(path.dirname(outputPath), path.basename(outputPath, `.${format}`));
+  const renderPrefix = `${path.basename(outputPath)}.render.`;
+  const args = ['-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET', '-sDEVICE=png16m', `-r${options.density}`];
+  if (options.pages) args.push(`-sPageList=${options.pages.replace(/\s+/g, '')}`);
+  args.push(`-sOutputFile=${path.join(tempDir, `${renderPrefix}%d.png`)}`, inputPath);
+
+  const outputs = [];
+  let rendered = [];
+  try {
+    await runTool('gs', args, { signal });
+    rendered = (await fsPromises.readdir(tempDir))
+      .filter(name => name.startsWith(renderPrefix))
+      .map(name => ({ name, index: parseInt(name.slice(renderPrefix.length), 10) }))
+      .sort((a, b) => a.index - b.index);
+    if (rendered.length === 0) {
+      throw invalidOptions(`pages ${options.pages} selects no page of this document.`);
+    }
+    if (onProgress) onProgress(50);
+
+    for (const [i, { name }] of rendered.entries()) {
+      const pageOutput = `${outputBase}-${nthPage(ranges, i)}.${format}`;
+      outputs.push(pageOutput);
+      let page = sharp(path.join(tempDir, name));
+      if (options.width) page = page.resize({ width: options.width });
+      page = format === 'jpg' ? page.jpeg({ quality: options.quality }) : page.toFormat(format, { quality: options.quality });
+      await runWithSignal(signal, () => page.toFile(pageOutput));
+      if (onProgress) onProgress(50 + (50 * (i + 1)) / rendered.length);
+    }
+    console.log(`PDF to ${format} conversion completed: ${outputs.length} pages`);
+    return outputs;
+  } catch (err) {
+    await Promise.all(outputs.map(file => fsPromises.unlink(file).catch(() => {})));
+    if ((signal && signal.aborted) || err.status) throw err;
+    console.error(`PDF to ${format} conversion failed: ${err.message}`);
+    throw new Error(`PDF to ${format} conversion failed: ${err.message}`);
+  } finally {
+    await Promise.all(rendered.map(({ name }) => fsPromises.unlink(path.join(tempDir, name)).catch(() => {})));
+  }
+}
+
+// Bundle page files into `<output name>.zip` and remove the loose pages
+async function zipPages(pages, outputPath, to, signal) {
+  const zipPath = path.join(path.dirname(outputPath), `${path.basename(outputPath, `.${to}`)}.zip`);
+  try {
+    await writeZip(pages.map(page => ({ path: page, name: path.basename(page) })), zipPath, signal);
+  } catch (err) {
+    await fsPromises.unlink(zipPath).catch(() => {});
+    throw err;
+  } finally {
+    await Promise.all(pages.map(page => fsPromises.unlink(page).catch(() => {})));
+  }
+  return [zipPath];
+}
+
+async function convertPdf({ inputPath, outputPath, from, to, options, onProgress, signal }) {
+  let document = null;
+  try {
+    if (from !== 'pdf') {
+      document = await documentToPdf(inputPath, signal);
+    }
+    const pages = await rasterizePdf(document ? document.pdfPath : inputPath, outputPath, to, options, onProgress, signal);
+    return options.zip ? await zipPages(pages, outputPath, to, signal) : pages;
+  } finally {
+    if (document) await removeOfficeOutput(document.dir);
+  }
+}
+
+module.exports = {
+  name: 'pdf',
+  types: ['pdfs'],
+  description: 'Rasterize PDF pages, and text documents rendered through LibreOffice, to one image per page',
+  conversions: [
+    { from: ['pdf', 'txt', 'rtf', 'odt'], to: pageFormats },
+  ],
+  options: pdfOptions,
+  validateOptions: ({ to, options }) => {
+    if (options.pages) parsePages(options.pages);
+    if (options.quality !== undefined && !['jpg', 'webp', 'tiff'].includes(to)) {
+      throw invalidOptions(`quality is not supported for ${to} output (supported: jpg, webp, tiff).`);
+    }
+  },
+  convert: convertPdf,
+};
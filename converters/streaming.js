@@ -0,0 +1,161 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { tempDir } = require('../lib/config');
+const { runFfmpeg, probe } = require('../lib/ffmpeg');
+const { videoFormats } = require('../lib/media');
+const { writeZip } = require('../lib/zip');
+
+// Rendition ladder: frame height and H.264/AAC bitrates in kbit/s
+const ladder = {
+  '1080p': { height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  '720p': { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  '480p': { height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  '360p': { height: 360, videoBitrate: 800, audioBitrate: 96 },
+  '240p': { height: 240, videoBitrate: 400, audioBitrate: 64 },
+};
+
+// Entry point of each package, linked in the response
+const manifests = { hls: 'master.m3u8', dash: 'manifest.mpd' };
+
+const streamingOptions = {
+  renditions: {
+    type: 'array',
+    items: { type: 'string', enum: Object.keys(ladder) },
+    minItems: 1,
+    maxItems: 5,
+    default: ['720p', '480p', '360p'],
+    description: 'Renditions taller than the source are skipped',
+  },
+  segmentDuration: { type: 'integer', min: 2, max: 10, default: 6, description: 'Target segment length in seconds' },
+  package: {
+    type: 'string',
+    enum: ['zip', 'directory'],
+    default: 'zip',
+    description: 'One ZIP download, or a directory served under /converted for direct playback',
+  },
+};
+
+// Requested renditions that fit the source, tallest first; at least the smallest one
+function pickRenditions(names, sourceHeight) {
+  const requested = [...new Set(names)].map(name => ({ name, ...ladder[name] })).sort((a, b) => b.height - a.height);
+  const fitting = requested.filter(rendition => !sourceHeight || rendition.height <= sourceHeight);
+  return fitting.length ? fitting : requested.slice(-1);
+}
+
+// One scaled copy of the video per rendition, plus the audio track once per rendition when
+// there is one: HLS wants every variant self-contained
+function ladderArgs(renditions, hasAudio) {
+  const labels = renditions.map((rendition, i) => `[v${i}]`);
+  const filter = `[0:v:0]split=${renditions.length}${labels.join('')};`
+    + renditions.map((rendition, i) => `${labels[i]}scale=-2:${rendition.height}[out${i}]`).join(';');
+  const args = ['-filter_complex', filter];
+  renditions.forEach((rendition, i) => {
+    args.push(
+      '-map', `[out${i}]`,
+      `-c:v:${i}`, 'libx264',
+      `-b:v:${i}`, `${rendition.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`,
+    );
+    if (hasAudio) {
+      args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rendition.audioBitrate}k`);
+    }
+  });
+  return args;
+}
+
+function hlsArgs(renditions, hasAudio, outputDir, segmentDuration) {
+  const streamMap = renditions
+    .map((rendition, i) => `v:${i}${hasAudio ? `,a:${i}` : ''},name:${rendition.name}`)
+    .join(' ');
+  return [
+    '-f', 'hls',
+    '-hls_time', String(segmentDuration),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, 'stream_%v_%05d.ts'),
+    '-master_pl_name', manifests.hls,
+    '-var_stream_map', streamMap,
+  ];
+}
+
+function dashArgs(hasAudio, outputDir, segmentDuration) {
+  return [
+    '-f', 'dash',
+    '-seg_duration', String(segmentDuration),
+    '-use_template', '1',
+    '-use_timeline', '1',
+    '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+    '-init_seg_name', 'init_$RepresentationID$.m4s',
+    '-media_seg_name', 'chunk_$RepresentationID$_$Number%05d$.m4s',
+  ];
+}
+
+async function packageStream({ inputPath, outputPath, to, options, onProgress, signal }) {
+  const { streams = [] } = await probe(inputPath, { signal });
+  const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  if (!video) {
+    const err = new Error('The upload has no video stream to package.');
+    err.status = 400;
+    throw err;
+  }
+  const hasAudio = streams.some(stream => stream.codec_type === 'audio');
+  const renditions = pickRenditions(options.renditions, video.height);
+  // DASH players pick audio separately, so one audio representation serves every rendition
+  const audioOnce = to === 'dash' && hasAudio;
+  const packageName = `${path.basename(outputPath, `.${to}`)}-${to}`;
+  const outputDir = options.package === 'directory'
+    ? path.join(path.dirname(outputPath), packageName)
+    : path.join(tempDir, packageName);
+  const zipPath = path.join(path.dirname(outputPath), `${packageName}.zip`);
+
+  await fsPromises.mkdir(outputDir, { recursive: true });
+  try {
+    const args = [
+      '-threads', '1',
+      '-preset', 'veryfast',
+      // Keyframes on segment boundaries so every rendition can switch there
+      '-force_key_frames', `expr:gte(t,n_forced*${options.segmentDuration})`,
+      '-sc_threshold', '0',
+      ...ladderArgs(renditions, hasAudio && !audioOnce),
+      ...(audioOnce ? ['-map', '0:a:0', '-c:a', 'aac', '-b:a', `${renditions[0].audioBitrate}k`] : []),
+      ...(to === 'hls'
+        ? hlsArgs(renditions, hasAudio, outputDir, options.segmentDuration)
+        : dashArgs(hasAudio, outputDir, options.segmentDuration)),
+    ];
+    // Passed as separate arguments so fluent-ffmpeg does not split values containing spaces
+    const command = ffmpeg(inputPath)
+      .outputOptions(...args)
+      .output(path.join(outputDir, to === 'hls' ? 'stream_%v.m3u8' : manifests.dash));
+    await runFfmpeg(command, { signal, onProgress, label: `FFmpeg (${to} package)` });
+    console.log(`${to.toUpperCase()} package completed: ${outputDir} (${renditions.map(rendition => rendition.name).join(', ')})`);
+
+    if (options.package === 'directory') {
+      return [path.join(outputDir, manifests[to])];
+    }
+    const files = await fsPromises.readdir(outputDir);
+    await writeZip(files.map(name => ({ path: path.join(outputDir, name), name: `${packageName}/${name}` })), zipPath, signal);
+    return [zipPath];
+  } catch (err) {
+    await fsPromises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    await fsPromises.rm(zipPath, { force: true }).catch(() => {});
+    // Cancels, timeouts and bad input already carry the status to answer with
+    if ((signal && signal.aborted) || err.status) throw err;
+    throw new Error(`${to.toUpperCase()} packaging failed: ${err.message}`);
+  } finally {
+    if (options.package === 'zip') {
+      await fsPromises.rm(outputDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  name: 'streaming',
+  types: ['video'],
+  description: 'HLS and DASH adaptive streaming packages with an H.264 rendition ladder',
+  conversions: [
+    { from: videoFormats, to: ['hls', 'dash'] },
+  ],
+  options: streamingOptions,
+  convert: packageStream,
+};
@@ -0,0 +1,91 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { runFfmpeg, probeDuration } = require('../lib/ffmpeg');
+const { invalidOptions } = require('../lib/options');
+const { videoFormats } = require('../lib/media');
+
+const thumbnailOptions = {
+  time: { type: 'number', min: 0, description: 'Poster frame position in seconds (default 10% into the video)' },
+  width: { type: 'integer', min: 16, max: 3840, description: 'Poster width, or tile width of a contact sheet (default 240); height follows the aspect ratio' },
+  sheet: {
+    type: 'object',
+    description: 'Render a contact sheet of evenly spaced frames instead of one poster frame',
+    properties: {
+      frames: { type: 'integer', min: 2, max: 100, default: 12 },
+      columns: { type: 'integer', min: 1, max: 10, default: 4 },
+      padding: { type: 'integer', min: 0, max: 64, default: 4, description: 'Gap between and around tiles in pixels' },
+      background: { type: 'string', pattern: '^#[0-9a-f]{6}$', default: '#000000' },
+    },
+  },
+};
+
+const badInput = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// One frame at `time`, falling back to 10% into the video
+async function renderPoster(inputPath, options, signal) {
+  let { time } = options;
+  const duration = await probeDuration(inputPath, { signal });
+  if (time === undefined) {
+    time = duration ? Math.round(duration * 10) / 100 : 0;
+  } else if (duration && time >= duration) {
+    throw badInput(`time ${time}s is past the end of the ${duration.toFixed(2)}s video.`);
+  }
+  const outputOptions = ['-frames:v', '1'];
+  if (options.width) outputOptions.push('-vf', `scale=${options.width}:-2`);
+  return { inputOptions: ['-ss', String(time)], outputOptions };
+}
+
+// Every (duration / frames) seconds a frame is picked, scaled and placed on a tile grid
+async function renderSheet(inputPath, options, signal) {
+  const { frames, columns, padding, background } = options.sheet;
+  const duration = await probeDuration(inputPath, { signal });
+  if (!duration) {
+    throw badInput('A contact sheet needs a video with a known duration.');
+  }
+  const interval = (duration / frames).toFixed(3);
+  const rows = Math.ceil(frames / columns);
+  const filter = [
+    `select='isnan(prev_selected_t)+gte(t-prev_selected_t\\,${interval})'`,
+    `scale=${options.width || 240}:-2`,
+    `tile=${columns}x${rows}:nb_frames=${frames}:padding=${padding}:margin=${padding}:color=0x${background.slice(1)}`,
+  ].join(',');
+  return { inputOptions: [], outputOptions: ['-vf', filter, '-vsync', 'vfr', '-frames:v', '1'] };
+}
+
+async function convertThumbnail({ inputPath, outputPath, to, options, onProgress, signal }) {
+  const frames = options.sheet
+    ? await renderSheet(inputPath, options, signal)
+    : await renderPoster(inputPath, options, signal);
+  const outputOptions = ['-threads', '1', '-an', ...frames.outputOptions];
+  if (to === 'jpg' || to === 'jpeg') outputOptions.push('-q:v', '2');
+  const command = ffmpeg(inputPath)
+    .inputOptions(frames.inputOptions)
+    .outputOptions(outputOptions)
+    .output(outputPath);
+  try {
+    await runFfmpeg(command, { signal, onProgress, label: `FFmpeg (${options.sheet ? 'contact sheet' : 'poster'})` });
+    console.log(`Video ${options.sheet ? 'contact sheet' : 'poster frame'} completed: ${outputPath}`);
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw new Error(`Video thumbnail failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: 'thumbnail',
+  types: ['video', 'image'],
+  description: 'Poster frames and tiled contact sheets from video',
+  conversions: [
+    { from: videoFormats, to: ['jpg', 'jpeg', 'png'] },
+  ],
+  options: thumbnailOptions,
+  validateOptions: ({ options }) => {
+    if (options.sheet && options.time !== undefined) {
+      throw invalidOptions('time picks a poster frame and cannot be combined with sheet.');
+    }
+  },
+  convert: convertThumbnail,
+};
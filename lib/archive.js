@@ -0,0 +1,284 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { tempDir } = require('./config');
+const { runTool } = require('./process');
+const { detect } = require('./sniff');
+const { sizeOf } = require('./storage');
+
+// Formats 7-Zip reads, and the archive formats we write. tar.gz and tar.xz are written in two
+// steps (tar, then the compressor) since 7-Zip only compresses single streams into gzip and xz.
+// RAR is left out: p7zip-full on Debian has no RAR codec (that is the non-free p7zip-rar).
+const archiveInputs = ['zip', '7z', 'tar', 'gz', 'tgz', 'xz', 'txz'];
+const archiveOutputs = ['zip', '7z', 'tar', 'tar.gz', 'tar.xz'];
+const streamFormats = ['gz', 'tgz', 'xz', 'txz'];
+const sevenZipTypes = { zip: 'zip', '7z': '7z', tar: 'tar' };
+
+// Extraction limits against zip bombs. The ratio check only kicks in once the contents are
+// large enough to matter, so a highly compressible text file still extracts.
+const maxEntries = parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 10000;
+const maxExtractedSize = (parseInt(process.env.ARCHIVE_MAX_EXTRACTED_MB, 10) || 1024) * 1024 * 1024;
+const maxRatio = 200;
+const ratioThreshold = 10 * 1024 * 1024;
+// How often the extraction directory is measured while 7-Zip writes it (ms)
+const extractionPollInterval = 200;
+
+const badArchive = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const number = (value) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : undefined;
+};
+
+// `7z l -slt` prints "Key = value" blocks separated by blank lines: the archive itself first,
+// then one block per entry after a dashed line
+const sltBlocks = (text) => text.split(/\r?\n\r?\n/).map(block => Object.fromEntries(block
+  .split(/\r?\n/)
+  .map(line => line.match(/^([^=]+?) = (.*)$/))
+  .filter(Boolean)
+  .map(([, key, value]) => [key, value])))
+  .filter(block => Object.keys(block).length);
+
+// Unix mode bits follow the DOS attributes, e.g. "A_ -rw-r--r--" or "A lrwxrwxrwx"
+const isLink = (entry) => Boolean(entry['Symbolic Link'] || entry['Hard Link'] || entry.Link)
+  || /(^|\s)l[rwxsStT-]{9}/.test(entry.Attributes || '');
+
+// List an archive. Resolves with { archive: { type, physicalSize, solid }, entries }, each entry
+// { path, size, packedSize, modified, directory, encrypted, link }.
+async function listArchive(inputPath, { signal } = {}) {
+  const { stdout } = await runTool('7z', ['l', '-slt', '-sccUTF-8', inputPath], { signal });
+  const [header = '', listing = ''] = stdout.split(/^-{10}\s*$/m);
+  const archive = sltBlocks(header).pop() || {};
+  return {
+    archive: {
+      type: archive.Type,
+      physicalSize: number(archive['Physical Size']),
+      solid: archive.Solid === '+',
+    },
+    entries: sltBlocks(listing).map(entry => ({
+      path: entry.Path,
+      size: number(entry.Size),
+      packedSize: number(entry['Packed Size']),
+      modified: entry.Modified,
+      directory: entry.Folder === '+' || /D/.test((entry.Attributes || '').split(' ')[0]),
+      encrypted: entry.Encrypted === '+',
+      link: isLink(entry),
+    })),
+  };
+}
+
+// Refuse archives whose entries would land outside the extraction directory, point elsewhere
+// through links, or expand past the limits
+function checkListing({ archive, entries }, name) {
+  if (entries.length > maxEntries) {
+    throw badArchive(`${name} has ${entries.length} entries; at most ${maxEntries} can be extracted.`);
+  }
+  for (const entry of entries) {
+    const entryPath = String(entry.path || '').replace(/\\/g, '/');
+    const normalized = path.posix.normalize(entryPath);
+    if (!entryPath || path.posix.isAbsolute(entryPath) || /^[a-z]:/i.test(entryPath)
+      || normalized === '..' || normalized.startsWith('../')) {
+      throw badArchive(`${name} contains an unsafe path: ${JSON.stringify(entry.path)}.`);
+    }
+    if (entry.link) {
+      throw badArchive(`${name} contains a link (${entry.path}); archives with links are not extracted.`);
+    }
+    if (entry.encrypted) {
+      throw badArchive(`${name} is password protected.`);
+    }
+  }
+  const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  if (totalSize > maxExtractedSize) {
+    throw badArchive(`${name} expands to ${totalSize} bytes; at most ${maxExtractedSize} can be extracted.`);
+  }
+  if (archive.physicalSize && totalSize > ratioThreshold && totalSize / archive.physicalSize > maxRatio) {
+    throw badArchive(`${name} expands ${Math.round(totalSize / archive.physicalSize)} times its size and looks like a zip bomb.`);
+  }
+}
+
+// Regular files under `dir`, as { path, name } with `name` relative and '/'-separated.
+// Anything that is neither a file nor a directory is removed.
+async function walkFiles(dir, prefix = '') {
+  const files = [];
+  for (const dirent of await fsPromises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    const name = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) {
+      files.push(...await walkFiles(entryPath, name));
+    } else if (dirent.isFile()) {
+      files.push({ path: entryPath, name });
+    } else {
+      await fsPromises.rm(entryPath, { force: true });
+    }
+  }
+  return files;
+}
+
+// The listing only has the sizes the headers claim, so extraction is held to the budget while
+// it runs: no file may grow past it (ulimit), and 7-Zip is stopped as soon as the directory
+// as a whole does
+async function sevenZipExtract(inputPath, dir, name, signal) {
+  const listing = await listArchive(inputPath, { signal });
+  checkListing(listing, name);
+  const tooLarge = () => badArchive(`${name} expands past ${maxExtractedSize} bytes.`);
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  let exceeded = false;
+  let measuring = false;
+  const timer = setInterval(async () => {
+    if (measuring) return;
+    measuring = true;
+    const size = await sizeOf(dir).catch(() => 0);
+    measuring = false;
+    if (size > maxExtractedSize && !controller.signal.aborted) {
+      exceeded = true;
+      controller.abort(tooLarge());
+    }
+  }, extractionPollInterval);
+  try {
+    await runTool('7z', ['x', '-y', '-bd', `-o${dir}`, inputPath], { signal: controller.signal, fileSizeLimit: maxExtractedSize });
+  } catch (err) {
+    if (exceeded || /SIGXFSZ|File too large/.test(err.message)) throw tooLarge();
+    throw err;
+  } finally {
+    clearInterval(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+const isTar = async (filePath) => {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(512);
+    const { bytesRead } = await handle.read(buffer, 0, 512, 0);
+    const detected = detect(buffer.subarray(0, bytesRead));
+    return Boolean(detected && detected.format === 'tar');
+  } finally {
+    await handle.close();
+  }
+};
+
+const removeDir = (dir) => fsPromises.rm(dir, { recursive: true, force: true })
+  .catch(err => console.error(`Error cleaning up ${dir}: ${err.message}`));
+
+// A gzip or xz stream holding a tar is unpacked through to the tar's contents; a plain
+// compressed file is named after the upload without its compression extension
+async function extractStream(inputPath, dir, contentDir, name, signal) {
+  const streamDir = path.join(dir, 'stream');
+  await sevenZipExtract(inputPath, streamDir, name, signal);
+  const [inner] = await walkFiles(streamDir);
+  if (!inner) throw badArchive(`${name} is empty.`);
+  if (await isTar(inner.path)) {
+    await sevenZipExtract(inner.path, contentDir, name, signal);
+  } else {
+    const baseName = name.replace(/\.(gz|xz)$/i, '').replace(/\.t(gz|xz)$/i, '.tar');
+    await fsPromises.mkdir(contentDir);
+    await fsPromises.rename(inner.path, path.join(contentDir, baseName));
+  }
+  await removeDir(streamDir);
+}
+
+// Extract `inputPath` into a fresh directory under tempDir after checking its listing.
+// Resolves with { dir, contentDir, files }, `files` being { path, name } with names relative to
+// contentDir; the caller removes `dir` when done.
+async function extractArchive(inputPath, format, { name = path.basename(inputPath), signal } = {}) {
+  const dir = await fsPromises.mkdtemp(path.join(tempDir, 'extract-'));
+  const contentDir = path.join(dir, 'content');
+  const baseName = path.basename(name);
+  try {
+    if (streamFormats.includes(format)) {
+      await extractStream(inputPath, dir, contentDir, baseName, signal);
+    } else {
+      await sevenZipExtract(inputPath, contentDir, baseName, signal);
+    }
+    return { dir, contentDir, files: await checkExtracted(contentDir, baseName) };
+  } catch (err) {
+    await removeDir(dir);
+    throw err;
+  }
+}
+
+// Whatever got past the checks during extraction is measured once more, as a whole
+async function checkExtracted(dir, name) {
+  const files = await walkFiles(dir);
+  let totalSize = 0;
+  for (const file of files) {
+    totalSize += (await fsPromises.stat(file.path)).size;
+  }
+  if (totalSize > maxExtractedSize) {
+    throw badArchive(`${name} expands past ${maxExtractedSize} bytes.`);
+  }
+  if (files.length === 0) {
+    throw badArchive(`${name} has no files to extract.`);
+  }
+  return files;
+}
+
+// Pack the contents of `sourceDir` into `outputPath` as one of archiveOutputs. `level` is the
+// 7-Zip compression level (0-9); tar is not compressed.
+async function createArchive(sourceDir, outputPath, format, { level, signal } = {}) {
+  const names = await fsPromises.readdir(sourceDir);
+  const levelArgs = level === undefined ? [] : [`-mx=${level}`];
+  const compressor = { 'tar.gz': 'gzip', 'tar.xz': 'xz' }[format];
+  // '--' ends switch parsing, so entries named like "-r" stay file names
+  if (!compressor) {
+    await runTool('7z', ['a', `-t${sevenZipTypes[format]}`, ...(format === 'tar' ? [] : levelArgs), '-bd', '-y', outputPath, '--', ...names],
+      { signal, cwd: sourceDir });
+    return;
+  }
+  const workDir = await fsPromises.mkdtemp(path.join(tempDir, 'pack-'));
+  try {
+    const tarPath = path.join(workDir, `${path.basename(outputPath).replace(/\.tar\.(gz|xz)$/, '')}.tar`);
+    await runTool('7z', ['a', '-ttar', '-bd', '-y', tarPath, '--', ...names], { signal, cwd: sourceDir });
+    await runTool('7z', ['a', `-t${compressor}`, ...levelArgs, '-bd', '-y', outputPath, tarPath], { signal });
+  } finally {
+    await removeDir(workDir);
+  }
+}
+
+// Give each name a unique spelling, numbering repeats: "a.txt", "a (2).txt"
+function uniqueNames(names) {
+  const seen = new Set();
+  return names.map(name => {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let unique = name;
+    for (let i = 2; seen.has(unique.toLowerCase()); i++) unique = `${base} (${i})${ext}`;
+    seen.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+// Pack files ({ path, name }) under their own names. They are hard-linked (or copied) into a
+// staging directory so the archive never sees upload paths.
+async function bundleFiles(files, outputPath, format, { level, signal } = {}) {
+  const stageDir = await fsPromises.mkdtemp(path.join(tempDir, 'bundle-'));
+  try {
+    const names = uniqueNames(files.map(file => path.basename(file.name)));
+    for (const [i, file] of files.entries()) {
+      const target = path.join(stageDir, names[i]);
+      await fsPromises.link(file.path, target).catch(() => fsPromises.copyFile(file.path, target));
+    }
+    await createArchive(stageDir, outputPath, format, { level, signal });
+  } finally {
+    await removeDir(stageDir);
+  }
+}
+
+module.exports = {
+  archiveInputs,
+  archiveOutputs,
+  listArchive,
+  extractArchive,
+  createArchive,
+  bundleFiles,
+  uniqueNames,
+  removeDir,
+};
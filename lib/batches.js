@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Outputs of one request (a /api/convert call, an operation or a job), so they can be
+// downloaded as one ZIP or deleted together. Batches are dropped after this long; the
+// files themselves stay until they are deleted.
+const batchTtl = parseInt(process.env.BATCH_TTL, 10) || 60 * 60 * 1000;
+
+const batches = new Map();
+
+// Register `entries` ({ path, name }: a converted file or package directory and the name it
+// gets in the ZIP) for `owner`. A job passes its own id so one id covers its status and its
+// outputs.
+function createBatch(entries, { id = crypto.randomUUID(), owner } = {}) {
+  const batch = { id, owner, createdAt: new Date().toISOString(), entries };
+  batches.set(id, batch);
+  setTimeout(() => {
+    if (batches.get(id) === batch) batches.delete(id);
+  }, batchTtl).unref();
+  return batch;
+}
+
+function getBatch(id) {
+  return batches.get(id);
+}
+
+function deleteBatch(id) {
+  batches.delete(id);
+}
+
+// Links a response carries for a batch
+const batchLinks = (batch) => ({
+  id: batch.id,
+  bundleUrl: `/api/bundle/${batch.id}`,
+  deleteUrl: `/api/bundle/${batch.id}`,
+});
+
+module.exports = {
+  createBatch,
+  getBatch,
+  deleteBatch,
+  batchLinks,
+};
@@ -0,0 +1,76 @@
+const { runTool } = require('./process');
+
+// Formats we hand to Calibre, with the plugin that reads or writes each
+const calibreInputs = {
+  epub: 'EPUB Input',
+  mobi: 'MOBI Input',
+  azw: 'MOBI Input',
+  azw3: 'MOBI Input',
+  fb2: 'FB2 Input',
+  docx: 'DOCX Input',
+  html: 'HTML Input',
+  md: 'TXT Input',
+  txt: 'TXT Input',
+  pdf: 'PDF Input',
+};
+const calibreOutputs = {
+  epub: 'EPUB Output',
+  mobi: 'MOBI Output',
+  azw3: 'AZW3 Output',
+  pdf: 'PDF Output',
+};
+
+const ebookFormats = ['epub', 'mobi', 'azw', 'azw3', 'fb2'];
+// Images Calibre takes as a book cover
+const coverImages = ['jpg', 'jpeg', 'png'];
+
+// Book metadata, shared by ebook conversion and the ebook-metadata operation
+const metadataOptions = {
+  title: { type: 'string' },
+  authors: { type: 'string', description: 'Separate several authors with &' },
+  series: { type: 'string' },
+  seriesIndex: { type: 'number', min: 0, max: 10000, description: 'Position in the series' },
+  publisher: { type: 'string' },
+  language: { type: 'string', pattern: '^[a-z]{2,3}(-[a-z0-9]+)*$', description: 'Language code, e.g. "en" or "pt-BR"' },
+  tags: { type: 'string', description: 'Comma-separated tags' },
+  comments: { type: 'string', description: 'Description of the book' },
+};
+
+// Metadata options as arguments: ebook-convert and ebook-meta share the flags except for the
+// series position
+function metadataArgs(options, { seriesIndexFlag = '--series-index' } = {}) {
+  const flags = {
+    title: '--title',
+    authors: '--authors',
+    series: '--series',
+    seriesIndex: seriesIndexFlag,
+    publisher: '--publisher',
+    language: '--language',
+    tags: '--tags',
+    comments: '--comments',
+  };
+  return Object.entries(flags)
+    .filter(([key]) => options[key] !== undefined)
+    .flatMap(([key, flag]) => [flag, String(options[key])]);
+}
+
+// Which of our formats the installed Calibre can read and write, from its plugin list
+// ("EPUB Input (1, 0, 0) by Kovid Goyal" lines). Reported by GET /status.
+async function calibreFormats(signal) {
+  const { stdout } = await runTool('calibre-customize', ['-l'], { signal, limited: false });
+  const plugins = new Set(stdout.split('\n')
+    .map(line => (line.match(/^\s*(.+?) \(\d+, \d+, \d+\)/) || [])[1])
+    .filter(Boolean));
+  const available = (map) => Object.fromEntries(Object.entries(map).map(([format, plugin]) => [format, plugins.has(plugin)]));
+  return { inputs: available(calibreInputs), outputs: available(calibreOutputs) };
+}
+
+module.exports = {
+  calibreInputs,
+  calibreOutputs,
+  ebookFormats,
+  coverImages,
+  metadataOptions,
+  metadataArgs,
+  calibreFormats,
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// API keys come from a JSON file (API_KEYS_FILE, default config/api-keys.json; see
+// config/api-keys.example.json). Keys are stored as SHA-256 hex digests, e.g. from
+// `printf %s "$KEY" | sha256sum`, and sent as `Authorization: Bearer <key>`.
+// Requests without a key are limited per client IP with the `anonymous` limits; setting
+// `"anonymous": false` makes a key mandatory for conversions.
+const keysFile = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'config', 'api-keys.json');
+
+// Limits a key gets unless its entry or the file's `defaults` override them; null is unlimited
+const builtinLimits = {
+  requestsPerMinute: 30,
+  uploadBytesPerDay: 1024 * 1024 * 1024,
+  concurrentJobs: 2,
+};
+
+// Seconds clients are told to wait when all their concurrent job slots are busy
+const busyRetryAfter = 5;
+
+function loadKeys() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Cannot read API keys from ${keysFile}: ${err.message}`);
+    console.log(`No API keys file at ${keysFile}; only anonymous limits apply.`);
+    config = {};
+  }
+  const defaults = { ...builtinLimits, ...config.defaults };
+  const keys = new Map((config.keys || []).map(entry => {
+    if (!entry.id || !/^[a-f0-9]{64}$/.test(entry.sha256 || '')) {
+      throw new Error(`Invalid entry in ${keysFile}: every key needs an id and a SHA-256 hex digest.`);
+    }
+    return [entry.sha256, {
+      id: `key:${entry.id}`,
+      name: entry.id,
+      admin: entry.admin === true,
+      limits: { ...defaults, ...entry.limits },
+    }];
+  }));
+  const anonymous = config.anonymous === false ? null : { ...defaults, ...config.anonymous };
+  if (keys.size) console.log(`Loaded ${keys.size} API keys from ${keysFile}`);
+  return { keys, anonymous };
+}
+
+const { keys, anonymous } = loadKeys();
+
+const clientError = (res, status, message, retryAfter) => {
+  if (retryAfter !== undefined) res.setHeader('Retry-After', String(retryAfter));
+  if (status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+  return res.status(status).json({ error: message });
+};
+
+// Sets `req.client`: the API key the request carries, or an anonymous client keyed by IP.
+// Files created with a key belong to the key rather than the browser session.
+function identifyClient(req, res, next) {
+  const header = req.get('authorization');
+  if (!header) {
+    req.client = { id: `ip:${req.ip}`, anonymous: true, limits: anonymous };
+    return next();
+  }
+  const [scheme, key] = header.trim().split(/\s+/);
+  const client = /^bearer$/i.test(scheme) && key
+    ? keys.get(crypto.createHash('sha256').update(key).digest('hex'))
+    : null;
+  if (!client) {
+    console.warn(`Rejected unknown API key for ${req.method} ${req.originalUrl}`);
+    return clientError(res, 401, 'Invalid API key.');
+  }
+  req.client = client;
+  req.owner = client.id;
+  next();
+}
+
+// Per-client counters: requests in the current minute, bytes uploaded on the current UTC
+// day and jobs running now
+const counters = new Map();
+
+const countersFor = (id) => {
+  if (!counters.has(id)) counters.set(id, { minute: 0, requests: 0, day: '', bytes: 0, active: 0 });
+  return counters.get(id);
+};
+
+const secondsUntilNextDay = (now) => {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - now) / 1000);
+};
+
+// For a body that came without a length (chunked): `req.countUploadBytes(n)` charges n more
+// bytes to the day's uploads as the upload storage writes them, and returns a 429 error once
+// they go past `limit`, so the upload stops there
+function countStreamedBytes(req, res, state, limit) {
+  req.countUploadBytes = (bytes) => {
+    state.bytes += bytes;
+    if (limit == null || state.bytes <= limit) return null;
+    console.warn(`Rate limit: ${req.client.id} exceeded ${limit} upload bytes per day`);
+    if (!res.headersSent) res.setHeader('Retry-After', String(secondsUntilNextDay(Date.now())));
+    const err = new Error(`Daily upload limit of ${limit} bytes reached.`);
+    err.status = 429;
+    return err;
+  };
+}
+
+// Admit a conversion request within the client's limits, answering 429 with Retry-After
+// otherwise. The request takes one of the client's job slots until its response closes,
+// unless the handler keeps it with keepClientSlot.
+function limitClient(req, res, next) {
+  const { client } = req;
+  if (!client.limits) {
+    return clientError(res, 401, 'An API key is required.');
+  }
+  const { requestsPerMinute, uploadBytesPerDay, concurrentJobs } = client.limits;
+  const now = Date.now();
+  const state = countersFor(client.id);
+  const minute = Math.floor(now / 60000);
+  if (state.minute !== minute) Object.assign(state, { minute, requests: 0 });
+  const day = new Date(now).toISOString().slice(0, 10);
+  if (state.day !== day) Object.assign(state, { day, bytes: 0 });
+
+  state.requests++;
+  if (requestsPerMinute != null && state.requests > requestsPerMinute) {
+    console.warn(`Rate limit: ${client.id} exceeded ${requestsPerMinute} requests per minute`);
+    return clientError(res, 429, `Rate limit exceeded: at most ${requestsPerMinute} requests per minute.`, Math.ceil(((minute + 1) * 60000 - now) / 1000));
+  }
+  // Resumable uploads count their announced length when they are created. Bodies without a
+  // length are counted as they stream in.
+  const announced = parseInt(req.get('upload-length') || req.get('content-length'), 10);
+  const incoming = Number.isFinite(announced) ? announced : 0;
+  if (uploadBytesPerDay != null && state.bytes + incoming > uploadBytesPerDay) {
+    console.warn(`Rate limit: ${client.id} exceeded ${uploadBytesPerDay} upload bytes per day`);
+    return clientError(res, 429, `Daily upload limit of ${uploadBytesPerDay} bytes reached.`, secondsUntilNextDay(now));
+  }
+  if (concurrentJobs != null && state.active >= concurrentJobs) {
+    return clientError(res, 429, `At most ${concurrentJobs} conversions may run at once. Wait for one to finish.`, busyRetryAfter);
+  }
+  state.bytes += incoming;
+  if (!Number.isFinite(announced)) countStreamedBytes(req, res, state, uploadBytesPerDay);
+  state.active++;
+  let released = false;
+  req.releaseClientSlot = () => {
+    if (released) return;
+    released = true;
+    state.active--;
+  };
+  res.on('close', () => {
+    if (!req.clientSlotKept) req.releaseClientSlot();
+  });
+  next();
+}
+
+// Keep the request's job slot past its response (a queued job); call the returned function
+// once the work is done
+function keepClientSlot(req) {
+  req.clientSlotKept = true;
+  return req.releaseClientSlot;
+}
+
+// The client's limits and how much of them is used right now
+function clientStatus(client) {
+  const state = counters.get(client.id);
+  const now = Date.now();
+  return {
+    limits: client.limits,
+    requestsThisMinute: state && state.minute === Math.floor(now / 60000) ? state.requests : 0,
+    uploadedToday: state && state.day === new Date(now).toISOString().slice(0, 10) ? state.bytes : 0,
+    activeJobs: state ? state.active : 0,
+  };
+}
+
+// Anonymous IPs come and go; drop counters that no longer hold anything
+setInterval(() => {
+  const day = new Date().toISOString().slice(0, 10);
+  for (const [id, state] of counters) {
+    if (state.active === 0 && state.day !== day) counters.delete(id);
+  }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  identifyClient,
+  limitClient,
+  keepClientSlot,
+  clientStatus,
+};
@@ -0,0 +1,214 @@
+// Windows bitmap (BMP/DIB) reader and writer working on RGBA pixel buffers.
+// Reads 1/4/8-bit palettes and 16/24/32-bit pixels (BI_RGB and BI_BITFIELDS); RLE-compressed
+// bitmaps are rare enough to be rejected.
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+// Position and width of the set bits of a channel mask, used to unpack bitfield pixels
+const maskShape = (mask) => {
+  if (!mask) return null;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  let bits = 0;
+  while (((mask >>> (shift + bits)) & 1) === 1) bits++;
+  return { mask, shift, max: (2 ** bits) - 1 };
+};
+
+const unpack = (value, shape, fallback) =>
+  (shape ? Math.round((((value & shape.mask) >>> shape.shift) * 255) / shape.max) : fallback);
+
+// Decode the DIB that starts at `offset`. `pixelOffset` is where pixel rows start (BMP files
+// say so in their file header; icons store them straight after the palette). Icons store
+// twice their height, with a 1-bit transparency mask after the colour rows.
+function decodeDib(buffer, offset = 0, { pixelOffset, icon = false } = {}) {
+  const headerSize = buffer.readUInt32LE(offset);
+  let width, height, bitCount, compression, colorsUsed;
+  if (headerSize === 12) {
+    width = buffer.readUInt16LE(offset + 4);
+    height = buffer.readInt16LE(offset + 6);
+    bitCount = buffer.readUInt16LE(offset + 10);
+    compression = BI_RGB;
+    colorsUsed = 0;
+  } else {
+    width = buffer.readInt32LE(offset + 4);
+    height = buffer.readInt32LE(offset + 8);
+    bitCount = buffer.readUInt16LE(offset + 14);
+    compression = buffer.readUInt32LE(offset + 16);
+    colorsUsed = buffer.readUInt32LE(offset + 32);
+  }
+  if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+    throw new Error(`Unsupported BMP compression method ${compression}`);
+  }
+  const topDown = height < 0;
+  height = Math.abs(height);
+  if (icon) height /= 2;
+  if (width <= 0 || height <= 0 || width * height > 100000000) {
+    throw new Error(`Invalid BMP dimensions ${width}x${height}`);
+  }
+
+  // Channel masks sit right after the first 40 header bytes: appended to a plain
+  // BITMAPINFOHEADER, or as part of the larger V2-V5 headers (which add alpha from V3 on)
+  let masks = null;
+  if (compression !== BI_RGB) {
+    masks = [0, 1, 2, 3].map(i => (i < 3 || compression === BI_ALPHABITFIELDS || headerSize >= 56
+      ? buffer.readUInt32LE(offset + 40 + i * 4)
+      : 0));
+  } else if (bitCount === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bitCount === 32) {
+    masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000];
+  }
+  const shapes = masks && masks.map(maskShape);
+
+  // Palette entries are BGRX, or BGR for the old 12-byte OS/2 header
+  const paletteEntrySize = headerSize === 12 ? 3 : 4;
+  let paletteOffset = offset + headerSize;
+  if (compression === BI_BITFIELDS && headerSize === 40) paletteOffset += 12;
+  if (compression === BI_ALPHABITFIELDS && headerSize === 40) paletteOffset += 16;
+  const palette = [];
+  if (bitCount <= 8) {
+    // colorsUsed comes straight from the header: bound it before allocating anything
+    if (colorsUsed > 1 << bitCount) {
+      throw new Error(`Invalid BMP palette of ${colorsUsed} colours for ${bitCount}-bit pixels`);
+    }
+    const count = colorsUsed || (1 << bitCount);
+    const paletteEnd = paletteOffset + count * paletteEntrySize;
+    if (paletteEnd > buffer.length || (pixelOffset !== undefined && paletteEnd > pixelOffset)) {
+      throw new Error('BMP palette runs past the pixel data');
+    }
+    for (let i = 0; i < count; i++) {
+      const entry = paletteOffset + i * paletteEntrySize;
+      palette.push([buffer[entry + 2], buffer[entry + 1], buffer[entry]]);
+    }
+  }
+  const start = pixelOffset !== undefined ? pixelOffset : paletteOffset + palette.length * paletteEntrySize;
+  const stride = Math.ceil((bitCount * width) / 32) * 4;
+  const data = Buffer.alloc(width * height * 4);
+  let sawAlpha = false;
+
+  for (let row = 0; row < height; row++) {
+    const y = topDown ? row : height - 1 - row;
+    const rowStart = start + row * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let r, g, b, a = 255;
+      if (bitCount <= 8) {
+        const bitPos = x * bitCount;
+        const byte = buffer[rowStart + (bitPos >> 3)];
+        const index = (byte >> (8 - bitCount - (bitPos & 7))) & ((1 << bitCount) - 1);
+        [r, g, b] = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const p = rowStart + x * 3;
+        [b, g, r] = [buffer[p], buffer[p + 1], buffer[p + 2]];
+      } else if (bitCount === 16 || bitCount === 32) {
+        const value = bitCount === 16 ? buffer.readUInt16LE(rowStart + x * 2) : buffer.readUInt32LE(rowStart + x * 4);
+        r = unpack(value, shapes[0], 0);
+        g = unpack(value, shapes[1], 0);
+        b = unpack(value, shapes[2], 0);
+        a = unpack(value, shapes[3], 255);
+        if (shapes[3] && a !== 0) sawAlpha = true;
+      } else {
+        throw new Error(`Unsupported BMP bit depth ${bitCount}`);
+      }
+      data[out] = r;
+      data[out + 1] = g;
+      data[out + 2] = b;
+      data[out + 3] = a;
+    }
+  }
+  // Many writers leave the alpha byte of 32-bit pixels at zero; such bitmaps are opaque
+  if (bitCount === 32 && !sawAlpha) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+
+  if (icon && (bitCount < 32 || !sawAlpha)) {
+    const maskStride = Math.ceil(width / 32) * 4;
+    const maskStart = start + stride * height;
+    for (let row = 0; row < height; row++) {
+      const y = topDown ? row : height - 1 - row;
+      for (let x = 0; x < width; x++) {
+        const byte = buffer[maskStart + row * maskStride + (x >> 3)];
+        if (byte !== undefined && (byte >> (7 - (x & 7))) & 1) data[(y * width + x) * 4 + 3] = 0;
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+// Size and depth from the headers alone, without decoding pixels
+function readHeader(buffer) {
+  if (buffer.length < 26 || buffer.toString('latin1', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP file');
+  }
+  if (buffer.readUInt32LE(14) === 12) {
+    return { width: buffer.readUInt16LE(18), height: Math.abs(buffer.readInt16LE(20)), bitCount: buffer.readUInt16LE(24) };
+  }
+  if (buffer.length < 30) throw new Error('Truncated BMP header');
+  return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)), bitCount: buffer.readUInt16LE(28) };
+}
+
+function decode(buffer) {
+  if (buffer.toString('latin1', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP file');
+  }
+  return decodeDib(buffer, 14, { pixelOffset: buffer.readUInt32LE(10) });
+}
+
+// Encode RGBA pixels as a bottom-up BMP: 24-bit when fully opaque, otherwise 32-bit with a
+// BITMAPV4HEADER so the alpha mask is explicit.
+function encode({ data, width, height }) {
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+  const bitCount = opaque ? 24 : 32;
+  const headerSize = opaque ? 40 : 108;
+  const stride = Math.ceil((bitCount * width) / 32) * 4;
+  const pixelOffset = 14 + headerSize;
+  const file = Buffer.alloc(pixelOffset + stride * height);
+
+  file.write('BM', 0, 'latin1');
+  file.writeUInt32LE(file.length, 2);
+  file.writeUInt32LE(pixelOffset, 10);
+  file.writeUInt32LE(headerSize, 14);
+  file.writeInt32LE(width, 18);
+  file.writeInt32LE(height, 22);
+  file.writeUInt16LE(1, 26);
+  file.writeUInt16LE(bitCount, 28);
+  file.writeUInt32LE(opaque ? BI_RGB : BI_BITFIELDS, 30);
+  file.writeUInt32LE(stride * height, 34);
+  file.writeInt32LE(2835, 38); // 72 dpi
+  file.writeInt32LE(2835, 42);
+  if (!opaque) {
+    file.writeUInt32LE(0x00ff0000, 54);
+    file.writeUInt32LE(0x0000ff00, 58);
+    file.writeUInt32LE(0x000000ff, 62);
+    file.writeUInt32LE(0xff000000, 66);
+    file.write('BGRs', 70, 'latin1'); // LCS_sRGB, stored little-endian
+  }
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = pixelOffset + (height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const out = rowStart + x * (bitCount / 8);
+      file[out] = data[p + 2];
+      file[out + 1] = data[p + 1];
+      file[out + 2] = data[p];
+      if (!opaque) file[out + 3] = data[p + 3];
+    }
+  }
+  return file;
+}
+
+module.exports = {
+  readHeader,
+  decode,
+  decodeDib,
+  encode,
+};
@@ -0,0 +1,69 @@
+// Windows icon (ICO) container. Entries hold either a PNG stream or a headerless DIB with
+// an AND mask; the container itself only records sizes and offsets.
+
+const { decodeDib } = require('./bmp');
+
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readEntries(buffer) {
+  if (buffer.length < 6 || buffer.readUInt16LE(0) !== 0 || buffer.readUInt16LE(2) !== 1) {
+    throw new Error('Not an ICO file');
+  }
+  const count = buffer.readUInt16LE(4);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const entry = 6 + i * 16;
+    if (entry + 16 > buffer.length) throw new Error('Truncated ICO directory');
+    const size = buffer.readUInt32LE(entry + 8);
+    const offset = buffer.readUInt32LE(entry + 12);
+    if (offset + size > buffer.length) throw new Error('Truncated ICO image data');
+    entries.push({
+      // A stored 0 means 256
+      width: buffer[entry] || 256,
+      height: buffer[entry + 1] || 256,
+      bitCount: buffer.readUInt16LE(entry + 6),
+      data: buffer.subarray(offset, offset + size),
+    });
+  }
+  return entries;
+}
+
+// Decode the largest (and, among equals, deepest) icon in the file. PNG entries come back
+// as `{ png }` for the caller to decode; DIB entries as RGBA pixels.
+function decode(buffer) {
+  const entries = readEntries(buffer);
+  if (entries.length === 0) {
+    throw new Error('ICO file contains no images');
+  }
+  const [best] = entries.sort((a, b) => (b.width * b.height - a.width * a.height) || (b.bitCount - a.bitCount));
+  if (best.data.subarray(0, 8).equals(pngSignature)) {
+    return { png: best.data };
+  }
+  return decodeDib(best.data, 0, { icon: true });
+}
+
+// Pack PNG-encoded square images (`{ size, png }`) into one icon file
+function encode(images) {
+  const directorySize = 6 + images.length * 16;
+  const header = Buffer.alloc(directorySize);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+  let offset = directorySize;
+  images.forEach(({ size, png }, i) => {
+    const entry = 6 + i * 16;
+    header[entry] = size >= 256 ? 0 : size;
+    header[entry + 1] = size >= 256 ? 0 : size;
+    header.writeUInt16LE(1, entry + 4); // colour planes
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(png.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += png.length;
+  });
+  return Buffer.concat([header, ...images.map(image => image.png)]);
+}
+
+module.exports = {
+  readEntries,
+  decode,
+  encode,
+};
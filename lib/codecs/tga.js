@@ -0,0 +1,157 @@
+// Truevision TGA reader and writer working on RGBA pixel buffers.
+// Reads colour-mapped, true-colour and greyscale images, raw or run-length encoded.
+
+const COLOR_MAPPED = 1;
+const TRUE_COLOR = 2;
+const GRAYSCALE = 3;
+const RLE = 8;
+// Largest image decoded, as for BMP: RLE data declares far more pixels than it stores
+const maxPixels = 100000000;
+
+// Turn one stored pixel into RGBA
+function readPixel(buffer, offset, depth, gray) {
+  if (gray) {
+    const value = buffer[offset];
+    return [value, value, value, depth === 16 ? buffer[offset + 1] : 255];
+  }
+  switch (depth) {
+    case 15:
+    case 16: {
+      const value = buffer.readUInt16LE(offset);
+      const channel = shift => Math.round((((value >> shift) & 0x1f) * 255) / 31);
+      return [channel(10), channel(5), channel(0), depth === 16 && !(value & 0x8000) ? 0 : 255];
+    }
+    case 24:
+      return [buffer[offset + 2], buffer[offset + 1], buffer[offset], 255];
+    case 32:
+      return [buffer[offset + 2], buffer[offset + 1], buffer[offset], buffer[offset + 3]];
+    default:
+      throw new Error(`Unsupported TGA pixel depth ${depth}`);
+  }
+}
+
+// Size and depth from the 18-byte header alone, without decoding pixels
+function readHeader(buffer) {
+  if (buffer.length < 18) {
+    throw new Error('Not a TGA file');
+  }
+  return { width: buffer.readUInt16LE(12), height: buffer.readUInt16LE(14), bitCount: buffer[16] };
+}
+
+function decode(buffer) {
+  if (buffer.length < 18) {
+    throw new Error('Not a TGA file');
+  }
+  const idLength = buffer[0];
+  const colorMapType = buffer[1];
+  const imageType = buffer[2];
+  const mapFirst = buffer.readUInt16LE(3);
+  const mapLength = buffer.readUInt16LE(5);
+  const mapDepth = buffer[7];
+  const width = buffer.readUInt16LE(12);
+  const height = buffer.readUInt16LE(14);
+  const depth = buffer[16];
+  const descriptor = buffer[17];
+
+  const baseType = imageType & ~RLE;
+  if (![COLOR_MAPPED, TRUE_COLOR, GRAYSCALE].includes(baseType) || colorMapType > 1) {
+    throw new Error(`Unsupported TGA image type ${imageType}`);
+  }
+  if (width === 0 || height === 0 || width * height > maxPixels) {
+    throw new Error(`Invalid TGA dimensions ${width}x${height}`);
+  }
+
+  let offset = 18 + idLength;
+  const palette = [];
+  if (colorMapType === 1) {
+    const entrySize = Math.ceil(mapDepth / 8);
+    for (let i = 0; i < mapLength; i++) {
+      palette.push(readPixel(buffer, offset + i * entrySize, mapDepth, false));
+    }
+    offset += mapLength * entrySize;
+  }
+
+  const gray = baseType === GRAYSCALE;
+  const pixelSize = Math.ceil(depth / 8);
+  const toRgba = (position) => {
+    if (baseType === COLOR_MAPPED) {
+      const index = pixelSize === 2 ? buffer.readUInt16LE(position) : buffer[position];
+      return palette[index - mapFirst] || [0, 0, 0, 255];
+    }
+    return readPixel(buffer, position, depth, gray);
+  };
+
+  // Descriptor bits 4 and 5 give the origin: right-to-left and top-to-bottom. Pixels are
+  // written straight to their place in the top-down RGBA buffer as they are read in file order.
+  const rightToLeft = Boolean(descriptor & 0x10);
+  const topDown = Boolean(descriptor & 0x20);
+  const count = width * height;
+  const data = Buffer.alloc(count * 4);
+  const put = (index, pixel) => {
+    const row = Math.floor(index / width);
+    const column = index % width;
+    const y = topDown ? row : height - 1 - row;
+    const x = rightToLeft ? width - 1 - column : column;
+    data.set(pixel, (y * width + x) * 4);
+  };
+  if (imageType & RLE) {
+    // RLE packets may run across scanlines
+    let index = 0;
+    while (index < count) {
+      if (offset >= buffer.length) throw new Error('Truncated TGA data');
+      const header = buffer[offset++];
+      const run = (header & 0x7f) + 1;
+      if (header & 0x80) {
+        const pixel = toRgba(offset);
+        offset += pixelSize;
+        for (let i = 0; i < run && index < count; i++) put(index++, pixel);
+      } else {
+        for (let i = 0; i < run && index < count; i++) {
+          put(index++, toRgba(offset));
+          offset += pixelSize;
+        }
+      }
+    }
+  } else {
+    if (offset + count * pixelSize > buffer.length) throw new Error('Truncated TGA data');
+    for (let index = 0; index < count; index++) {
+      put(index, toRgba(offset + index * pixelSize));
+    }
+  }
+  // Without alpha bits in the descriptor the attribute channel is not transparency
+  if (!(descriptor & 0x0f)) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+  return { data, width, height };
+}
+
+// Encode RGBA pixels as an uncompressed, top-down 32-bit TGA 2.0 file
+function encode({ data, width, height }) {
+  if (width > 0xffff || height > 0xffff) {
+    throw new Error(`TGA images are limited to 65535x65535 pixels, got ${width}x${height}`);
+  }
+  const footer = Buffer.alloc(26);
+  footer.write('TRUEVISION-XFILE.\0', 8, 'latin1');
+  const file = Buffer.alloc(18 + width * height * 4 + footer.length);
+  file[2] = TRUE_COLOR;
+  file.writeUInt16LE(width, 12);
+  file.writeUInt16LE(height, 14);
+  file[16] = 32;
+  file[17] = 0x28; // 8 alpha bits, top-left origin
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4;
+    const out = 18 + p;
+    file[out] = data[p + 2];
+    file[out + 1] = data[p + 1];
+    file[out + 2] = data[p];
+    file[out + 3] = data[p + 3];
+  }
+  footer.copy(file, file.length - footer.length);
+  return file;
+}
+
+module.exports = {
+  readHeader,
+  decode,
+  encode,
+};
@@ -0,0 +1,79 @@
+// Wireless bitmap (WBMP type 0) reader and writer: one bit per pixel, 1 is white.
+
+// Largest image decoded, as for BMP: RGBA output is 32 times the size of the bitmap
+const maxPixels = 100000000;
+
+// WBMP stores header integers as big-endian base-128 with a continuation bit
+function readMultiByte(buffer, state) {
+  let value = 0;
+  let byte;
+  do {
+    if (state.offset >= buffer.length) throw new Error('Truncated WBMP header');
+    byte = buffer[state.offset++];
+    value = (value << 7) | (byte & 0x7f);
+  } while (byte & 0x80);
+  return value;
+}
+
+function writeMultiByte(value) {
+  const bytes = [value & 0x7f];
+  for (value >>>= 7; value > 0; value >>>= 7) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+function readHeaderAt(buffer, state) {
+  const type = readMultiByte(buffer, state);
+  if (type !== 0) {
+    throw new Error(`Unsupported WBMP type ${type}`);
+  }
+  state.offset++; // fixed header byte
+  const width = readMultiByte(buffer, state);
+  const height = readMultiByte(buffer, state);
+  return { width, height, bitCount: 1 };
+}
+
+// Size from the header alone, without decoding pixels
+const readHeader = (buffer) => readHeaderAt(buffer, { offset: 0 });
+
+function decode(buffer) {
+  const state = { offset: 0 };
+  const { width, height } = readHeaderAt(buffer, state);
+  const stride = Math.ceil(width / 8);
+  if (width === 0 || height === 0 || width * height > maxPixels || state.offset + stride * height > buffer.length) {
+    throw new Error(`Invalid WBMP data for ${width}x${height}`);
+  }
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const bit = (buffer[state.offset + y * stride + (x >> 3)] >> (7 - (x & 7))) & 1;
+      data.fill(bit ? 255 : 0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// Encode RGBA pixels, thresholding luminance at the midpoint. Transparent pixels become white.
+function encode({ data, width, height }) {
+  const header = Buffer.from([0, 0, ...writeMultiByte(width), ...writeMultiByte(height)]);
+  const stride = Math.ceil(width / 8);
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const luma = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+      if (data[p + 3] < 128 || luma >= 128) {
+        pixels[y * stride + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return Buffer.concat([header, pixels]);
+}
+
+module.exports = {
+  readHeader,
+  decode,
+  encode,
+};
@@ -0,0 +1,17 @@
+const path = require('path');
+
+// Use /app for Render's filesystem
+const uploadsDir = path.join('/app', 'Uploads');
+// Resumable uploads in progress, kept across restarts until they expire
+const resumableDir = path.join(uploadsDir, 'resumable');
+const convertedDir = path.join('/app', 'converted');
+const tempDir = path.join('/app', 'tmp');
+const officeRuntimeDir = process.env.XDG_RUNTIME_DIR || path.join(tempDir, 'officeuser-runtime');
+
+module.exports = {
+  uploadsDir,
+  resumableDir,
+  convertedDir,
+  tempDir,
+  officeRuntimeDir,
+};
@@ -0,0 +1,58 @@
+const { runWithSignal, withToolSlot, currentCpuMeter, runTool } = require('./process');
+
+// `-benchmark` makes ffmpeg end with "bench: utime=1.234s stime=0.056s rtime=0.900s"
+const benchSeconds = (stderr) => {
+  const match = String(stderr || '').match(/bench: utime=([\d.]+)s stime=([\d.]+)s/);
+  return match ? Number(match[1]) + Number(match[2]) : 0;
+};
+
+// Run a configured fluent-ffmpeg command (outputs already set) through the shared ffmpeg
+// concurrency limit and the caller's deadline. fluent-ffmpeg spawns ffmpeg itself, so on
+// abort the process is killed through the command rather than by the process runner, and
+// the CPU meter is fed from ffmpeg's own benchmark line. As in runTool, the slot is released
+// when ffmpeg has exited, not when the signal fires.
+function runFfmpeg(command, { signal, onProgress, label = 'FFmpeg' } = {}) {
+  const meter = currentCpuMeter();
+  return runWithSignal(signal, (onAbort) => withToolSlot('ffmpeg', () => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    onAbort(() => command.kill('SIGKILL'));
+    command
+      .outputOptions('-benchmark')
+      .on('start', (cmd) => console.log(`${label} command: ${cmd}`))
+      .on('progress', (progress) => {
+        console.log(`Processing: ${progress.percent}% done`);
+        if (onProgress && progress.percent !== undefined) onProgress(progress.percent);
+      })
+      .on('end', (stdout, stderr) => {
+        meter.cpuSeconds += benchSeconds(stderr);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        meter.cpuSeconds += benchSeconds(stderr);
+        console.error(`${label} error: ${err.message}`, { stdout, stderr });
+        reject(err);
+      })
+      .run();
+  }), signal));
+}
+
+// Container and stream metadata from ffprobe, as parsed JSON
+async function probe(inputPath, { signal } = {}) {
+  const { stdout } = await runTool('ffprobe', [
+    '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', inputPath,
+  ], { signal });
+  return JSON.parse(stdout);
+}
+
+// Duration in seconds, or null when the container does not record one
+async function probeDuration(inputPath, options) {
+  const { format } = await probe(inputPath, options);
+  const duration = parseFloat(format && format.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+module.exports = {
+  runFfmpeg,
+  probe,
+  probeDuration,
+};
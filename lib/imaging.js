@@ -0,0 +1,152 @@
+const { invalidOptions } = require('./options');
+
+const colorPattern = '^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$';
+const dimension = { type: 'integer', min: 1, max: 16384 };
+
+// Per-file image options, shared by the image and compressor converters
+const imageOptions = {
+  resize: {
+    type: 'object',
+    description: 'Scale the image; give a width, a height or both',
+    properties: {
+      width: dimension,
+      height: dimension,
+      fit: { type: 'string', enum: ['cover', 'contain', 'fill', 'inside', 'outside'], default: 'inside' },
+      position: {
+        type: 'string',
+        enum: ['centre', 'top', 'right top', 'right', 'right bottom', 'bottom', 'left bottom', 'left', 'left top', 'entropy', 'attention'],
+        description: 'Anchor used by cover and contain',
+      },
+      withoutEnlargement: { type: 'boolean', default: true, description: 'Never upscale smaller images' },
+    },
+  },
+  crop: {
+    type: 'object',
+    description: 'Extract a region, in pixels of the oriented and rotated image',
+    properties: {
+      left: { type: 'integer', min: 0 },
+      top: { type: 'integer', min: 0 },
+      width: dimension,
+      height: dimension,
+    },
+    required: ['left', 'top', 'width', 'height'],
+  },
+  rotate: { type: 'integer', min: -360, max: 360, description: 'Degrees clockwise; non-right angles fill the corners with background' },
+  autoOrient: { type: 'boolean', default: true, description: 'Apply the EXIF orientation before anything else' },
+  quality: { type: 'integer', min: 1, max: 100 },
+  effort: { type: 'integer', min: 0, max: 10, description: 'CPU effort spent on compression (webp 0-6, png and gif 1-10)' },
+  lossless: { type: 'boolean', description: 'WebP only' },
+  background: { type: 'string', pattern: colorPattern, description: 'Hex colour to flatten transparency onto; formats without alpha default to white' },
+  metadata: { type: 'string', enum: ['strip', 'keep'], default: 'strip', description: 'Keep or strip EXIF, ICC and XMP metadata' },
+  density: { type: 'integer', min: 1, max: 2400, description: 'DPI used to rasterize SVG and EPS input (default 72)' },
+  sizes: {
+    type: 'array',
+    items: { type: 'integer', min: 16, max: 256 },
+    minItems: 1,
+    maxItems: 10,
+    description: 'ICO only: square sizes to pack (default 16, 32, 48, 64, 128 and 256, up to the image size)',
+  },
+};
+
+// Which encoder settings each output format understands
+const qualityFormats = ['jpg', 'jpeg', 'webp', 'tiff', 'png'];
+const effortRanges = { webp: [0, 6], png: [1, 10], gif: [1, 10] };
+const losslessFormats = ['webp'];
+const opaqueFormats = ['jpg', 'jpeg', 'pdf', 'eps', 'wbmp'];
+const vectorInputs = ['svg', 'eps'];
+
+// Reject options that the source or target format cannot honour
+function checkImageOptions(from, to, options) {
+  if (options.density !== undefined && !vectorInputs.includes(from)) {
+    throw invalidOptions(`density only applies to ${vectorInputs.join(' and ')} input.`);
+  }
+  if (options.sizes && to !== 'ico') {
+    throw invalidOptions('sizes only applies to ico output.');
+  }
+  if (options.quality !== undefined && !qualityFormats.includes(to)) {
+    throw invalidOptions(`quality is not supported for ${to} output (supported: ${qualityFormats.join(', ')}).`);
+  }
+  if (options.effort !== undefined) {
+    const range = effortRanges[to];
+    if (!range) {
+      throw invalidOptions(`effort is not supported for ${to} output (supported: ${Object.keys(effortRanges).join(', ')}).`);
+    }
+    if (options.effort < range[0] || options.effort > range[1]) {
+      throw invalidOptions(`effort for ${to} must be between ${range[0]} and ${range[1]}.`);
+    }
+  }
+  if (options.lossless && !losslessFormats.includes(to)) {
+    throw invalidOptions(`lossless is only supported for ${losslessFormats.join(', ')} output.`);
+  }
+  if (options.lossless && options.quality !== undefined) {
+    throw invalidOptions('quality and lossless cannot be combined.');
+  }
+  if (options.resize && !options.resize.width && !options.resize.height) {
+    throw invalidOptions('resize needs a width, a height or both.');
+  }
+}
+
+// Geometry and colour operations, applied in the order auto-orient → rotate → crop → resize →
+// flatten. sharp honours call order for rotate and extract, so the order here is the contract.
+async function applyImageOptions(image, options, to) {
+  if (options.autoOrient !== false) {
+    image = image.autoOrient();
+  }
+  if (options.rotate) {
+    image = image.rotate(options.rotate, { background: options.background || '#00000000' });
+  }
+  if (options.crop) {
+    const metadata = await image.metadata();
+    let { width, height } = metadata;
+    // EXIF orientations 5-8 swap the axes once the image is auto-oriented
+    if (options.autoOrient !== false && metadata.orientation >= 5) [width, height] = [height, width];
+    const { left, top, width: cropWidth, height: cropHeight } = options.crop;
+    // Bounds after an arbitrary rotation are left to sharp
+    if (!options.rotate && width && height && (left + cropWidth > width || top + cropHeight > height)) {
+      throw invalidOptions(`crop area ${cropWidth}x${cropHeight}+${left}+${top} exceeds the ${width}x${height} image.`);
+    }
+    image = image.extract({ left, top, width: cropWidth, height: cropHeight });
+  }
+  if (options.resize) {
+    const { width, height, fit, position, withoutEnlargement } = options.resize;
+    image = image.resize({ width, height, fit, position, withoutEnlargement, background: options.background || '#00000000' });
+  }
+  if (options.background || opaqueFormats.includes(to)) {
+    image = image.flatten({ background: options.background || '#ffffff' });
+  }
+  if (options.metadata === 'keep') {
+    image = image.keepMetadata();
+  }
+  return image;
+}
+
+// sharp encoder settings for the target format
+function encoderOptions(to, options) {
+  switch (to) {
+    case 'jpg':
+    case 'jpeg':
+      return { quality: options.quality };
+    case 'png':
+      // A quality setting switches PNG to palette (lossy) output
+      return {
+        quality: options.quality,
+        palette: options.quality !== undefined,
+        effort: options.effort,
+      };
+    case 'webp':
+      return { quality: options.quality, lossless: options.lossless, effort: options.effort };
+    case 'gif':
+      return { effort: options.effort };
+    case 'tiff':
+      return { quality: options.quality };
+    default:
+      return {};
+  }
+}
+
+module.exports = {
+  imageOptions,
+  checkImageOptions,
+  applyImageOptions,
+  encoderOptions,
+};
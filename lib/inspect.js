@@ -0,0 +1,242 @@
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { PDFDocument } = require('pdf-lib');
+const bmp = require('./codecs/bmp');
+const ico = require('./codecs/ico');
+const tga = require('./codecs/tga');
+const wbmp = require('./codecs/wbmp');
+const { runWithSignal, runTool } = require('./process');
+const { probe } = require('./ffmpeg');
+const { findTool, checkTool } = require('./tools');
+const { audioFormats, videoFormats } = require('./media');
+const { archiveInputs, listArchive } = require('./archive');
+const { ebookFormats } = require('./calibre');
+
+const sharpImages = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff', 'svg'];
+const pixelCodecs = { bmp, tga, wbmp };
+
+// BMP, TGA and WBMP keep their size within the first bytes
+const headerBytes = 64;
+
+// Archive listings stop here; the totals still cover every entry
+const maxArchiveEntries = 1000;
+
+// Drop empty values so the response only carries what the file actually records
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const number = (value) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : undefined;
+};
+
+// ffprobe reports rates as fractions, e.g. "30000/1001"
+const frameRate = (rate) => {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num && den ? Math.round((num / den) * 1000) / 1000 : undefined;
+};
+
+// EXIF values as JSON: binary blobs (maker notes, thumbnails) are only sized
+const jsonExif = (value) => {
+  if (Buffer.isBuffer(value)) return { bytes: value.length };
+  if (Array.isArray(value)) return value.map(jsonExif);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, jsonExif(entry)]));
+  }
+  return value;
+};
+
+const describeStream = (stream) => compact({
+  index: stream.index,
+  type: stream.codec_type,
+  codec: stream.codec_name,
+  codecDescription: stream.codec_long_name,
+  profile: stream.profile,
+  bitrate: number(stream.bit_rate),
+  duration: number(stream.duration),
+  width: stream.width,
+  height: stream.height,
+  fps: stream.codec_type === 'video' ? frameRate(stream.avg_frame_rate) || frameRate(stream.r_frame_rate) : undefined,
+  pixelFormat: stream.pix_fmt,
+  sampleRate: number(stream.sample_rate),
+  channels: stream.channels,
+  channelLayout: stream.channel_layout,
+  language: stream.tags && stream.tags.language,
+  title: stream.tags && stream.tags.title,
+  default: stream.disposition ? stream.disposition.default === 1 : undefined,
+  coverArt: stream.disposition && stream.disposition.attached_pic === 1 ? true : undefined,
+});
+
+async function inspectMedia(filePath, signal) {
+  const { format = {}, streams = [] } = await probe(filePath, { signal });
+  return compact({
+    container: format.format_name,
+    containerDescription: format.format_long_name,
+    duration: number(format.duration),
+    bitrate: number(format.bit_rate),
+    tags: format.tags,
+    streams: streams.map(describeStream),
+  });
+}
+
+// The first `length` bytes of a file, or all of a shorter one
+async function readStart(filePath, length) {
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function inspectImage(filePath, format, signal) {
+  if (format === 'ico') {
+    const entries = ico.readEntries(await fsPromises.readFile(filePath));
+    return {
+      width: Math.max(...entries.map(entry => entry.width)),
+      height: Math.max(...entries.map(entry => entry.height)),
+      icons: entries.map(({ width, height, bitCount, data }) => ({
+        width,
+        height,
+        bitCount,
+        encoding: data.subarray(0, 4).toString('latin1') === '\x89PNG' ? 'png' : 'bmp',
+      })),
+    };
+  }
+  if (pixelCodecs[format]) {
+    // The headers are enough; decoding pixels would cost memory in proportion to what they claim
+    const { width, height, bitCount } = pixelCodecs[format].readHeader(await readStart(filePath, headerBytes));
+    return { width, height, bitsPerPixel: bitCount };
+  }
+  const meta = await runWithSignal(signal, () => sharp(filePath).metadata());
+  let exif;
+  if (meta.exif) {
+    try {
+      exif = jsonExif(exifReader(meta.exif));
+    } catch (err) {
+      console.warn(`Unreadable EXIF block in ${filePath}: ${err.message}`);
+    }
+  }
+  return compact({
+    width: meta.width,
+    // Animated images stack their frames vertically; report one frame
+    height: meta.pageHeight || meta.height,
+    space: meta.space,
+    channels: meta.channels,
+    depth: meta.depth,
+    density: meta.density,
+    hasAlpha: meta.hasAlpha,
+    orientation: meta.orientation,
+    frames: meta.pages,
+    delay: meta.delay,
+    loop: meta.loop,
+    exif,
+  });
+}
+
+async function inspectPdf(filePath, signal) {
+  const bytes = await fsPromises.readFile(filePath);
+  let doc;
+  try {
+    doc = await runWithSignal(signal, () => PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false }));
+  } catch (err) {
+    const error = new Error(`The file could not be read as a PDF: ${err.message}`);
+    error.status = 400;
+    throw error;
+  }
+  // Page sizes in points, grouped so a 500-page A4 document lists one size
+  const sizes = new Map();
+  doc.getPages().forEach(page => {
+    const { width, height } = page.getSize();
+    const key = `${Math.round(width)}x${Math.round(height)}`;
+    const size = sizes.get(key) || { width: Math.round(width), height: Math.round(height), pages: 0 };
+    size.pages++;
+    sizes.set(key, size);
+  });
+  const version = (bytes.toString('latin1', 0, 16).match(/^%PDF-(\d\.\d)/) || [])[1];
+  return compact({
+    version,
+    pages: doc.getPageCount(),
+    pageSizes: [...sizes.values()],
+    encrypted: doc.isEncrypted,
+    // The info dictionary is encrypted along with everything else
+    info: doc.isEncrypted ? undefined : compact({
+      title: doc.getTitle(),
+      author: doc.getAuthor(),
+      subject: doc.getSubject(),
+      keywords: doc.getKeywords(),
+      creator: doc.getCreator(),
+      producer: doc.getProducer(),
+      created: doc.getCreationDate(),
+      modified: doc.getModificationDate(),
+    }),
+  });
+}
+
+async function inspectArchive(filePath, signal) {
+  const { archive, entries } = await listArchive(filePath, { signal });
+  const files = entries.filter(entry => !entry.directory);
+  return compact({
+    type: archive.type,
+    physicalSize: archive.physicalSize,
+    solid: archive.solid || undefined,
+    files: files.length,
+    directories: entries.length - files.length,
+    totalSize: files.reduce((sum, entry) => sum + (entry.size || 0), 0),
+    entries: entries.slice(0, maxArchiveEntries).map(entry => compact({
+      ...entry,
+      directory: entry.directory || undefined,
+      encrypted: entry.encrypted || undefined,
+      link: entry.link || undefined,
+    })),
+    truncated: entries.length > maxArchiveEntries || undefined,
+  });
+}
+
+// ebook-meta prints "Title               : value" lines; "Author(s)" becomes authors
+async function inspectEbook(filePath, signal) {
+  const { stdout } = await runTool('ebook-meta', [filePath], { signal });
+  return Object.fromEntries(stdout.split(/\r?\n/)
+    .map(line => line.match(/^([A-Za-z][\w ()]*?)\s*: (.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [
+      key.replace(/\(s\)$/, 's').toLowerCase().replace(/[^a-z0-9]+(.)/g, (m, c) => c.toUpperCase()),
+      value.trim(),
+    ]));
+}
+
+// What to run for a format, and the external tool it needs (checked like GET /status does)
+function inspectorFor(format) {
+  if (audioFormats.includes(format) || videoFormats.includes(format)) {
+    return { kind: 'media', tool: 'ffprobe', run: (filePath, signal) => inspectMedia(filePath, signal) };
+  }
+  if (sharpImages.includes(format) || format === 'ico' || pixelCodecs[format]) {
+    return { kind: 'image', run: (filePath, signal) => inspectImage(filePath, format, signal) };
+  }
+  if (format === 'pdf') return { kind: 'pdf', run: inspectPdf };
+  if (archiveInputs.includes(format)) return { kind: 'archive', tool: '7z', run: inspectArchive };
+  if (ebookFormats.includes(format)) return { kind: 'ebook', tool: 'ebook-meta', run: inspectEbook };
+  return null;
+}
+
+// Metadata of an identified upload. Resolves with { kind, metadata }; when the probe for the
+// format is missing, metadata is null and `unavailable` carries the tool check result.
+async function inspectFile(filePath, format, { signal } = {}) {
+  const inspector = inspectorFor(format);
+  if (!inspector) return { kind: 'file', metadata: null };
+  if (inspector.tool) {
+    const check = await checkTool(findTool(inspector.tool), { signal });
+    if (check.status !== 'OK') {
+      return { kind: inspector.kind, metadata: null, unavailable: { tool: check.name, details: check.details } };
+    }
+  }
+  return { kind: inspector.kind, metadata: await inspector.run(filePath, signal) };
+}
+
+module.exports = {
+  inspectFile,
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { gauge } = require('./metrics');
+
+// Finished jobs stay queryable for this long before they are dropped from memory
+const jobTtl = parseInt(process.env.JOB_TTL, 10) || 60 * 60 * 1000;
+// Conversions are CPU heavy, so by default only one job runs at a time
+const jobConcurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+const jobs = new Map();
+const queue = [];
+let activeJobs = 0;
+
+gauge('job_queue_depth', 'Jobs waiting for a free worker', () => queue.length);
+gauge('jobs_running', 'Jobs being converted', () => activeJobs);
+
+// Public view of a job, safe to send to clients
+const serializeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  progress: job.files.length
+    ? Math.round(job.files.reduce((sum, file) => sum + file.progress, 0) / job.files.length * 10) / 10
+    : 0,
+  files: job.files.map(file => ({
+    index: file.index,
+    id: file.id,
+    name: file.name,
+    status: file.status,
+    progress: file.progress,
+    output: file.output,
+    error: file.error,
+  })),
+});
+
+// Create a job for the given items and queue it. `worker(index, onProgress, signal)` converts a
+// single item and resolves with its output link; `onFinish(job)` runs once every item has settled.
+// Only `owner` may follow or cancel the job.
+function createJob(items, worker, { onFinish, owner } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    owner,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    files: items.map((item, index) => ({
+      index,
+      id: item.id,
+      name: item.name,
+      status: 'queued',
+      progress: 0,
+      output: null,
+      error: null,
+    })),
+    events: new EventEmitter(),
+    controller: new AbortController(),
+    worker,
+    onFinish,
+    // Jobs run in the context of the request that created them, so their logs carry its id
+    inContext: AsyncResource.bind((fn) => fn()),
+  };
+  job.events.setMaxListeners(0);
+  jobs.set(job.id, job);
+  queue.push(job);
+  console.log(`Job queued: ${job.id} (${items.length} files, queue length ${queue.length})`);
+  drainQueue();
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id);
+}
+
+function isFinished(job) {
+  return ['done', 'failed', 'cancelled'].includes(job.status);
+}
+
+// Abort a job. A queued job is settled straight away; a running job stops its current
+// conversion through the abort signal and skips the files it has not reached yet.
+function cancelJob(job) {
+  if (isFinished(job) || job.controller.signal.aborted) return;
+  console.log(`Cancelling job: ${job.id} (${job.status})`);
+  job.controller.abort();
+  const queued = queue.indexOf(job);
+  if (queued !== -1) {
+    queue.splice(queued, 1);
+    finishJob(job).catch(err => console.error(`Job ${job.id} cleanup failed: ${err.message}`));
+  }
+}
+
+function drainQueue() {
+  while (activeJobs < jobConcurrency && queue.length > 0) {
+    const job = queue.shift();
+    activeJobs++;
+    job.inContext(() => runJob(job))
+      .catch(err => console.error(`Job ${job.id} crashed: ${err.message}`))
+      .finally(() => {
+        activeJobs--;
+        drainQueue();
+      });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  job.events.emit('job', serializeJob(job));
+  console.log(`Job started: ${job.id}`);
+
+  for (const file of job.files) {
+    if (job.controller.signal.aborted) break;
+    file.status = 'running';
+    job.events.emit('file', { ...file });
+    try {
+      file.output = await job.worker(file.index, (percent) => {
+        const progress = Math.min(100, Math.max(0, Math.round(Number(percent) * 10) / 10));
+        if (Number.isNaN(progress) || progress === file.progress) return;
+        file.progress = progress;
+        job.events.emit('file', { ...file });
+      }, job.controller.signal);
+      file.status = 'done';
+      file.progress = 100;
+    } catch (err) {
+      console.error(`Job ${job.id} file ${file.index} failed: ${err.message}`);
+      file.status = job.controller.signal.aborted ? 'cancelled' : 'failed';
+      file.error = err.message || 'Conversion failed.';
+    }
+    job.events.emit('file', { ...file });
+  }
+
+  await finishJob(job);
+}
+
+async function finishJob(job) {
+  if (job.controller.signal.aborted) {
+    job.files
+      .filter(file => file.status === 'queued')
+      .forEach(file => {
+        file.status = 'cancelled';
+        job.events.emit('file', { ...file });
+      });
+    job.status = 'cancelled';
+  } else {
+    job.status = job.files.some(file => file.status === 'done') ? 'done' : 'failed';
+  }
+  job.finishedAt = new Date().toISOString();
+  console.log(`Job finished: ${job.id} (${job.status})`);
+  try {
+    if (job.onFinish) await job.onFinish(job);
+  } finally {
+    job.events.emit('job', serializeJob(job));
+    job.events.emit('end');
+    setTimeout(() => jobs.delete(job.id), jobTtl).unref();
+  }
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  isFinished,
+  serializeJob,
+};
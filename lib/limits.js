@@ -0,0 +1,40 @@
+// Upload size limits per converter type, in MB: UPLOAD_LIMITS="video=2048,audio=512,pdfs=100".
+// Types not listed get UPLOAD_MAX_MB (default 50). A file converted by a converter answering
+// to several types (video and audio) may be as large as the largest of their limits.
+const mb = 1024 * 1024;
+const defaultLimit = (parseInt(process.env.UPLOAD_MAX_MB, 10) || 50) * mb;
+
+const typeLimits = {
+  video: 1024 * mb,
+  audio: 256 * mb,
+  ...Object.fromEntries((process.env.UPLOAD_LIMITS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([type, limit]) => type && parseInt(limit, 10) > 0)
+    .map(([type, limit]) => [type, parseInt(limit, 10) * mb])),
+};
+
+// Largest upload any type accepts; multer and resumable uploads stop at this size
+const maxUploadSize = Math.max(defaultLimit, ...Object.values(typeLimits));
+
+// Limit in bytes for a file handled by any of `types`
+const uploadLimit = (types) => Math.max(...(types.length ? types : [null]).map(type => typeLimits[type] || defaultLimit));
+
+const formatSize = (bytes) => `${Math.round(bytes / mb * 10) / 10} MB`;
+
+// 413 error for a file over its limit
+const fileTooLarge = (name, size, limit) => {
+  const err = new Error(`${name} is ${formatSize(size)}; files of this type may be at most ${formatSize(limit)}.`);
+  err.status = 413;
+  return err;
+};
+
+// Limits served by GET /api/formats, in bytes
+const uploadLimits = () => ({ default: defaultLimit, ...typeLimits });
+
+module.exports = {
+  maxUploadSize,
+  uploadLimit,
+  uploadLimits,
+  fileTooLarge,
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Leveled JSON logs, one object per line: { time, level, msg, requestId, ...fields }.
+// LOG_LEVEL (debug, info, warn, error; default info) drops the levels below it. Warnings and
+// errors go to stderr, the rest to stdout.
+// The request id comes from the context the code runs in (see traceRequests), so whatever a
+// converter, tool run or cleanup logs during a conversion carries the id of its request.
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = levels[String(process.env.LOG_LEVEL).toLowerCase()] || levels.info;
+
+const requestContext = new AsyncLocalStorage();
+const currentRequestId = () => (requestContext.getStore() || {}).requestId;
+
+// Errors serialize to nothing by default
+const replacer = (key, value) => {
+  if (value instanceof Error) return { message: value.message, code: value.code, stack: value.stack };
+  if (typeof value === 'bigint') return String(value);
+  return value;
+};
+
+function log(level, msg, fields = {}) {
+  if (levels[level] < minLevel) return;
+  const requestId = currentRequestId();
+  const entry = { time: new Date().toISOString(), level, msg, ...(requestId && { requestId }), ...fields };
+  let line;
+  try {
+    line = JSON.stringify(entry, replacer);
+  } catch {
+    // Circular fields
+    line = JSON.stringify({ ...entry, ...Object.fromEntries(Object.keys(fields).map(key => [key, util.inspect(fields[key])])) });
+  }
+  (levels[level] >= levels.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+const logger = Object.fromEntries(Object.keys(levels).map(level => [level, (msg, fields) => log(level, msg, fields)]));
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Route the console through the logger, so the messages of every module come out as JSON
+// with the request id: console.log and console.info log at info, console.debug at debug. A
+// trailing plain object becomes the `data` field rather than part of the message.
+function captureConsole() {
+  const methods = { log: 'info', info: 'info', debug: 'debug', warn: 'warn', error: 'error' };
+  Object.entries(methods).forEach(([method, level]) => {
+    console[method] = (...args) => {
+      const data = args.length > 1 && isPlainObject(args[args.length - 1]) ? args.pop() : undefined;
+      log(level, util.format(...args), data === undefined ? {} : { data });
+    };
+  });
+}
+
+// Incoming X-Request-Id headers (from a proxy or the client) are kept when they look sane
+const requestIdPattern = /^[\w.:-]{1,128}$/;
+
+// Middleware: give the request an id, echo it in X-Request-Id, run the rest of the request in
+// its context and log one line when the response is done
+function traceRequests(req, res, next) {
+  const header = req.get('x-request-id');
+  req.id = header && requestIdPattern.test(header) ? header : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  const startedAt = process.hrtime.bigint();
+  requestContext.run({ requestId: req.id }, () => {
+    res.on('close', () => {
+      logger.info('Request finished', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        completed: res.writableFinished,
+      });
+    });
+    next();
+  });
+}
+
+module.exports = {
+  logger,
+  captureConsole,
+  currentRequestId,
+  traceRequests,
+};
@@ -0,0 +1,244 @@
+const { invalidOptions } = require('./options');
+
+const audioFormats = ['mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'mmf'];
+const videoFormats = ['mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv', 'm4v', '3g2'];
+
+// FFmpeg encoders behind the codec names users pick
+const videoEncoders = { h264: 'libx264', h265: 'libx265', vp9: 'libvpx-vp9', av1: 'libaom-av1', mpeg4: 'mpeg4', wmv2: 'wmv2' };
+const audioEncoders = {
+  aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', vorbis: 'libvorbis', flac: 'flac',
+  pcm: 'pcm_s16le', pcm_be: 'pcm_s16be', wma: 'wmav2', yamaha: 'adpcm_yamaha',
+};
+
+// What each container can carry; the first codec is the default. Codecs missing from the
+// option enums (wmv2, wma, pcm_be, yamaha) are only ever used as defaults.
+const containers = {
+  mp4: { video: ['h264', 'h265', 'av1', 'mpeg4'], audio: ['aac', 'mp3', 'opus', 'flac'] },
+  m4v: { video: ['h264', 'h265', 'mpeg4'], audio: ['aac', 'mp3'] },
+  mov: { video: ['h264', 'h265', 'mpeg4'], audio: ['aac', 'mp3', 'pcm'] },
+  mkv: { video: ['h264', 'h265', 'vp9', 'av1', 'mpeg4'], audio: ['aac', 'opus', 'vorbis', 'mp3', 'flac', 'pcm'] },
+  webm: { video: ['vp9', 'av1'], audio: ['opus', 'vorbis'] },
+  avi: { video: ['mpeg4', 'h264'], audio: ['mp3', 'aac', 'pcm'] },
+  flv: { video: ['h264'], audio: ['aac', 'mp3'] },
+  wmv: { video: ['wmv2'], audio: ['wma'] },
+  '3g2': { video: ['h264', 'mpeg4'], audio: ['aac'] },
+  mp3: { audio: ['mp3'] },
+  wav: { audio: ['pcm'] },
+  aac: { audio: ['aac'] },
+  flac: { audio: ['flac'] },
+  ogg: { audio: ['vorbis', 'opus', 'flac'] },
+  opus: { audio: ['opus'] },
+  wma: { audio: ['wma'] },
+  aiff: { audio: ['pcm_be'] },
+  mmf: { audio: ['yamaha'] },
+};
+
+const crfRanges = { h264: [0, 51], h265: [0, 51], vp9: [0, 63], av1: [0, 63] };
+const losslessAudio = ['flac', 'pcm', 'pcm_be'];
+const opusSampleRates = [8000, 12000, 16000, 24000, 48000];
+const bitrate = { type: 'string', pattern: '^\\d+(\\.\\d+)?[kM]?$', description: 'Bits per second, e.g. "128k" or "2.5M"' };
+const evenDimension = { type: 'integer', min: 2, max: 7680 };
+
+// Per-file media options for the media converter
+const mediaOptions = {
+  start: { type: 'number', min: 0, description: 'Trim: start time in seconds' },
+  end: { type: 'number', min: 0, description: 'Trim: end time in seconds' },
+  resize: {
+    type: 'object',
+    description: 'Video frame size; give a width, a height or both (rounded to even numbers)',
+    properties: {
+      width: evenDimension,
+      height: evenDimension,
+      fit: {
+        type: 'string',
+        enum: ['inside', 'contain', 'cover', 'fill'],
+        default: 'inside',
+        description: 'inside keeps the aspect ratio within the box; contain pads and cover crops to the exact size; fill stretches',
+      },
+    },
+  },
+  videoCodec: { type: 'string', enum: ['h264', 'h265', 'vp9', 'av1', 'mpeg4'] },
+  audioCodec: { type: 'string', enum: ['aac', 'mp3', 'opus', 'vorbis', 'flac', 'pcm'] },
+  videoBitrate: bitrate,
+  audioBitrate: bitrate,
+  crf: { type: 'integer', min: 0, max: 63, description: 'Constant quality (h264/h265 0-51, vp9/av1 0-63; lower is better)' },
+  fps: { type: 'number', min: 1, max: 120 },
+  channels: { type: 'integer', min: 1, max: 8 },
+  sampleRate: { type: 'integer', min: 8000, max: 192000 },
+  audioStream: { type: 'integer', min: 0, max: 31, description: 'Which audio track of the input to keep (0-based)' },
+  mute: { type: 'boolean', description: 'Drop the audio from video output' },
+  visual: {
+    type: 'string',
+    enum: ['black', 'waveform', 'cover'],
+    default: 'black',
+    description: 'Picture for audio → video: a black frame, a waveform, or a cover image (the cover upload, else the embedded art)',
+  },
+  cover: {
+    type: 'string',
+    pattern: '^[a-f0-9]{32}$',
+    description: 'Id of a finished resumable upload (jpg, jpeg, png) to show with visual cover',
+  },
+};
+
+const videoOnlyOptions = ['resize', 'videoCodec', 'videoBitrate', 'crf', 'fps', 'mute'];
+const audioOnlyOptions = ['audioCodec', 'audioBitrate', 'channels', 'sampleRate'];
+
+const isSet = (options, key) => options[key] !== undefined && options[key] !== mediaOptions[key].default;
+
+// Codecs a conversion ends up with, after options and container defaults
+function resolveCodecs(to, options) {
+  const container = containers[to];
+  return {
+    video: container.video ? options.videoCodec || container.video[0] : null,
+    audio: options.audioCodec || container.audio[0],
+  };
+}
+
+// Reject options the source, the target container or the chosen codecs cannot honour
+function checkMediaOptions(from, to, options) {
+  const container = containers[to];
+  const videoOutput = Boolean(container.video);
+  const audioInput = audioFormats.includes(from);
+
+  if (!videoOutput) {
+    const videoOption = videoOnlyOptions.find(key => isSet(options, key));
+    if (videoOption) throw invalidOptions(`${videoOption} only applies to video output, not ${to}.`);
+  }
+  if (isSet(options, 'visual') && !(audioInput && videoOutput)) {
+    throw invalidOptions('visual only applies to audio → video conversions.');
+  }
+  if (options.cover && options.visual !== 'cover') throw invalidOptions('cover needs visual cover.');
+  if (options.mute) {
+    const audioOption = audioOnlyOptions.find(key => isSet(options, key));
+    if (audioOption) throw invalidOptions(`${audioOption} cannot be combined with mute.`);
+    if (audioInput) throw invalidOptions('mute would leave nothing of an audio input.');
+  }
+  if (options.start !== undefined && options.end !== undefined && options.end <= options.start) {
+    throw invalidOptions('end must be after start.');
+  }
+  if (options.resize) {
+    const { width, height, fit } = options.resize;
+    if (!width && !height) throw invalidOptions('resize needs a width, a height or both.');
+    if (fit !== 'inside' && !(width && height)) throw invalidOptions(`resize fit ${fit} needs both width and height.`);
+  }
+
+  const codecs = resolveCodecs(to, options);
+  if (options.videoCodec && !container.video.includes(options.videoCodec)) {
+    throw invalidOptions(`${to} cannot carry ${options.videoCodec} video (supported: ${container.video.join(', ')}).`);
+  }
+  if (options.audioCodec && !container.audio.includes(options.audioCodec)) {
+    throw invalidOptions(`${to} cannot carry ${options.audioCodec} audio (supported: ${container.audio.join(', ')}).`);
+  }
+  if (options.crf !== undefined) {
+    const range = crfRanges[codecs.video];
+    if (!range) throw invalidOptions(`crf is not supported for ${codecs.video} (supported: ${Object.keys(crfRanges).join(', ')}).`);
+    if (options.crf > range[1]) throw invalidOptions(`crf for ${codecs.video} must be between ${range[0]} and ${range[1]}.`);
+    if (options.videoBitrate) throw invalidOptions('crf and videoBitrate cannot be combined.');
+  }
+  if (options.audioBitrate && losslessAudio.includes(codecs.audio)) {
+    throw invalidOptions(`audioBitrate does not apply to lossless ${to} audio.`);
+  }
+  if (options.sampleRate && codecs.audio === 'opus' && !opusSampleRates.includes(options.sampleRate)) {
+    throw invalidOptions(`opus supports sample rates ${opusSampleRates.join(', ')}.`);
+  }
+}
+
+// Video filter for the resize option. Sizes stay even, as most encoders require for yuv420p.
+function scaleFilter({ width, height, fit }) {
+  const w = width ? width - (width % 2) : -2;
+  const h = height ? height - (height % 2) : -2;
+  switch (fit) {
+    case 'inside':
+      if (!width || !height) return `scale=${w}:${h}`;
+      return `scale=${w}:${h}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+    case 'contain':
+      return `scale=${w}:${h}:force_original_aspect_ratio=decrease:force_divisible_by=2,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2`;
+    case 'cover':
+      return `scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}`;
+    default:
+      return `scale=${w}:${h},setsar=1`;
+  }
+}
+
+// Encoder settings that keep CPU time in check on a small instance
+const speedOptions = {
+  libx264: ['-preset', 'ultrafast'],
+  libx265: ['-preset', 'ultrafast'],
+  'libvpx-vp9': ['-deadline', 'realtime', '-cpu-used', '8'],
+  'libaom-av1': ['-cpu-used', '8', '-row-mt', '1'],
+};
+
+// FFmpeg arguments for a conversion, as { inputOptions, inputs, outputOptions }: options for
+// the main input, extra inputs ({ source, options }) and output options, each a flat argv list.
+// `coverPath` is the claimed upload the cover option named.
+function ffmpegArgs(from, to, options, coverPath) {
+  const container = containers[to];
+  const videoOutput = Boolean(container.video);
+  const audioToVideo = videoOutput && audioFormats.includes(from);
+  const codecs = resolveCodecs(to, options);
+  const inputOptions = [];
+  const inputs = [];
+  const outputOptions = ['-threads', '1'];
+  const audioMap = `0:a:${options.audioStream || 0}`;
+
+  if (options.start !== undefined) inputOptions.push('-ss', String(options.start));
+  if (options.end !== undefined) outputOptions.push('-t', String(options.end - (options.start || 0)));
+
+  if (audioToVideo) {
+    const { width = 640, height = 360 } = options.resize || {};
+    const size = `${width - (width % 2)}x${height - (height % 2)}`;
+    const rate = options.fps || 25;
+    if (options.visual === 'waveform') {
+      outputOptions.push('-filter_complex', `[${audioMap}]showwaves=s=${size}:mode=cline:rate=${rate},format=yuv420p[v]`, '-map', '[v]');
+    } else if (options.visual === 'cover') {
+      // The cover is a single picture, uploaded or attached, looped for the length of the audio
+      if (coverPath) inputs.push({ source: coverPath, options: [] });
+      const scale = options.resize ? `${scaleFilter(options.resize)},` : 'scale=trunc(iw/2)*2:trunc(ih/2)*2,';
+      outputOptions.push('-filter_complex', `[${coverPath ? 1 : 0}:v:0]${scale}loop=loop=-1:size=1:start=0,fps=${rate},format=yuv420p[v]`, '-map', '[v]');
+    } else {
+      inputs.push({ source: `color=c=black:s=${size}:r=${rate}`, options: ['-f', 'lavfi'] });
+      outputOptions.push('-map', '1:v:0');
+    }
+    outputOptions.push('-map', audioMap, '-shortest');
+  } else if (videoOutput) {
+    outputOptions.push('-map', '0:v:0');
+    if (!options.mute) outputOptions.push('-map', `${audioMap}?`);
+    if (options.resize) outputOptions.push('-vf', scaleFilter(options.resize));
+    if (options.fps) outputOptions.push('-r', String(options.fps));
+  } else {
+    outputOptions.push('-map', audioMap, '-vn');
+  }
+
+  if (codecs.video) {
+    const encoder = videoEncoders[codecs.video];
+    outputOptions.push('-c:v', encoder, ...(speedOptions[encoder] || []));
+    if (options.crf !== undefined) {
+      outputOptions.push('-crf', String(options.crf));
+      // libvpx and libaom only honour crf as a pure quality target when the bitrate is 0
+      if (codecs.video === 'vp9' || codecs.video === 'av1') outputOptions.push('-b:v', '0');
+    }
+    if (options.videoBitrate) outputOptions.push('-b:v', options.videoBitrate);
+    if (encoder === 'libx264' || encoder === 'libx265') outputOptions.push('-pix_fmt', 'yuv420p');
+  }
+  if (options.mute) {
+    outputOptions.push('-an');
+  } else {
+    outputOptions.push('-c:a', audioEncoders[codecs.audio]);
+    if (options.audioBitrate) outputOptions.push('-b:a', options.audioBitrate);
+    if (options.channels) outputOptions.push('-ac', String(options.channels));
+    if (options.sampleRate) outputOptions.push('-ar', String(options.sampleRate));
+  }
+  return { inputOptions, inputs, outputOptions };
+}
+
+// Encoder arguments for audio written to `format`, with the container's default codec
+const audioCodecArgs = (format) => ['-c:a', audioEncoders[containers[format].audio[0]]];
+
+module.exports = {
+  audioFormats,
+  videoFormats,
+  mediaOptions,
+  checkMediaOptions,
+  ffmpegArgs,
+  audioCodecArgs,
+};
@@ -0,0 +1,125 @@
+const { sizeOf } = require('./storage');
+
+// Prometheus metrics served by GET /metrics in the text exposition format. Values live in
+// memory per label set and start over with the process.
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+const keyOf = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+const labelsOf = (labelNames, key) => Object.fromEntries(JSON.parse(key).map((value, i) => [labelNames[i], value]));
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'counter',
+    lines: () => [...values].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`),
+  });
+  return {
+    inc: (labels = {}, value = 1) => {
+      const key = keyOf(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+  };
+}
+
+// `buckets` are the upper bounds, ascending; +Inf is added
+function histogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'histogram',
+    lines: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+      const labels = labelsOf(labelNames, key);
+      return [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ];
+    }),
+  });
+  return {
+    observe: (labels, value) => {
+      const key = keyOf(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+// A value read when the metrics are scraped
+function gauge(name, help, read) {
+  metrics.push({ name, help, type: 'gauge', lines: () => [`${name} ${read()}`] });
+}
+
+const conversionLabels = ['converter', 'from', 'to'];
+const byteBuckets = [1e3, 1e4, 1e5, 1e6, 1e7, 1e8, 1e9];
+
+const conversions = counter('conversions_total', 'Finished conversions and operations', conversionLabels);
+const failures = counter('conversion_failures_total', 'Failed conversions and operations by error class', [...conversionLabels, 'error']);
+const durations = histogram('conversion_duration_seconds', 'Time spent converting, failures included', conversionLabels, [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]);
+const inputBytes = histogram('conversion_input_bytes', 'Size of the uploads converted', conversionLabels, byteBuckets);
+const outputBytes = histogram('conversion_output_bytes', 'Size of what finished conversions produced', conversionLabels, byteBuckets);
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDurations = histogram('http_request_duration_seconds', 'HTTP response time by route', ['method', 'route'], [0.01, 0.05, 0.1, 0.5, 1, 5, 30, 120]);
+
+gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+gauge('process_start_time_seconds', 'When the process started, in seconds since the epoch', () => Math.round(Date.now() / 1000 - process.uptime()));
+
+// Error class of a failed conversion: how it was stopped, or what kind of failure it was
+function errorClass(err, signal) {
+  if (signal && signal.aborted) return signal.reason && signal.reason.code === 'ETIMEDOUT' ? 'timeout' : 'cancelled';
+  if (err.code === 'ENOENT' && /not installed/.test(err.message)) return 'missing_tool';
+  if (err.status === 413 || err.status === 507) return 'too_large';
+  if (err.status >= 400 && err.status < 500) return 'invalid_input';
+  return 'conversion_error';
+}
+
+// Record one conversion or operation that took `seconds`: its outputs when it succeeded,
+// `error` (and the `signal` it ran under) when it failed. Never rejects.
+async function observeConversion({ converter, from, to, seconds, inputSize, outputPaths, error, signal }) {
+  const labels = { converter, from, to };
+  durations.observe(labels, seconds);
+  inputBytes.observe(labels, inputSize);
+  if (error) {
+    failures.inc({ ...labels, error: errorClass(error, signal) });
+    return;
+  }
+  conversions.inc(labels);
+  const sizes = await Promise.all(outputPaths.map(file => sizeOf(file).catch(() => 0)));
+  outputBytes.observe(labels, sizes.reduce((sum, size) => sum + size, 0));
+}
+
+// Middleware counting requests by their route pattern, so ids in paths do not multiply series
+function countRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDurations.observe({ method: req.method, route }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+}
+
+function renderMetrics() {
+  return `${metrics.flatMap(({ name, help, type, lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()]).join('\n')}\n`;
+}
+
+module.exports = {
+  gauge,
+  observeConversion,
+  countRequests,
+  renderMetrics,
+};
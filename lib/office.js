@@ -0,0 +1,72 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { officeRuntimeDir, tempDir } = require('./config');
+const { runTool } = require('./process');
+
+// Import filters for inputs LibreOffice would otherwise guess wrong: plain text and Markdown
+// open as UTF-8 text documents, CSV as comma-separated UTF-8, and PDF in Writer rather than Draw
+const inputFilters = {
+  txt: 'Text (encoded):UTF8',
+  md: 'Text (encoded):UTF8',
+  csv: 'CSV:44,34,UTF8',
+  pdf: 'writer_pdf_import',
+};
+
+// LibreOffice refuses to share a user profile between running instances, and a profile left
+// behind by a killed instance can block the next start. Each run borrows a profile directory
+// from this pool; a run that fails gives its profile up instead of returning it.
+const idleProfiles = [];
+let profileCount = 0;
+
+async function withProfile(fn) {
+  const profile = idleProfiles.pop() || path.join(officeRuntimeDir, `lo-profile-${++profileCount}`);
+  let healthy = false;
+  try {
+    const result = await fn(profile);
+    healthy = true;
+    return result;
+  } finally {
+    if (healthy) {
+      idleProfiles.push(profile);
+    } else {
+      await fsPromises.rm(profile, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+const removeOfficeOutput = (dir) => fsPromises.rm(dir, { recursive: true, force: true })
+  .catch(err => console.error(`Error cleaning up ${dir}: ${err.message}`));
+
+// Run `soffice --convert-to <target>` on `inputPath`, writing into a fresh directory under
+// tempDir. Resolves with { dir, files }; the caller takes what it needs and then removes `dir`
+// with removeOfficeOutput. The input filter is picked from the input's extension.
+async function officeConvert(inputPath, target, { signal } = {}) {
+  const dir = await fsPromises.mkdtemp(path.join(tempDir, 'office-'));
+  const infilter = inputFilters[path.extname(inputPath).slice(1).toLowerCase()];
+  try {
+    const { stdout, stderr } = await withProfile(profile => runTool('libreoffice', [
+      `-env:UserInstallation=${pathToFileURL(profile).href}`,
+      '--headless', '--norestore', '--nolockcheck',
+      ...(infilter ? [`--infilter=${infilter}`] : []),
+      '--convert-to', target,
+      '--outdir', dir,
+      inputPath,
+    ], { signal }));
+    // LibreOffice exits with 0 even when it could not load or export the document
+    const files = (await fsPromises.readdir(dir)).sort().map(name => path.join(dir, name));
+    if (files.length === 0) {
+      const reason = (stderr || stdout).trim().split('\n').pop();
+      throw new Error(`LibreOffice produced no ${target.split(':')[0]} output${reason ? `: ${reason}` : ''}`);
+    }
+    return { dir, files };
+  } catch (err) {
+    await removeOfficeOutput(dir);
+    throw err;
+  }
+}
+
+module.exports = {
+  officeConvert,
+  removeOfficeOutput,
+};
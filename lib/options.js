@@ -0,0 +1,89 @@
+// Validation for the per-file `options` object of a conversion request, against the schema a
+// converter declares. Schemas are plain objects so GET /api/formats can publish them as-is:
+//   { type: 'integer' | 'number', min, max }
+//   { type: 'boolean' }
+//   { type: 'string', enum: [...], pattern: '^regex$' }
+//   { type: 'object', properties: { name: schema }, required: [...] }
+//   { type: 'array', items: schema, minItems, maxItems }
+// Every schema may carry a `description` and a `default`.
+
+const invalidOptions = (message) => {
+  const err = new Error(`Invalid options: ${message}`);
+  err.status = 400;
+  return err;
+};
+
+const describe = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+function validateValue(schema, value, name) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number) || (schema.type === 'integer' && !Number.isInteger(number))) {
+        throw invalidOptions(`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}.`);
+      }
+      if (schema.min !== undefined && number < schema.min) throw invalidOptions(`${name} must be at least ${schema.min}.`);
+      if (schema.max !== undefined && number > schema.max) throw invalidOptions(`${name} must be at most ${schema.max}.`);
+      return number;
+    }
+    case 'boolean':
+      if (value === 'true' || value === 'false') return value === 'true';
+      if (typeof value !== 'boolean') throw invalidOptions(`${name} must be true or false, got ${JSON.stringify(value)}.`);
+      return value;
+    case 'string':
+      if (typeof value !== 'string') throw invalidOptions(`${name} must be a string, got ${describe(value)}.`);
+      if (schema.enum && !schema.enum.includes(value)) {
+        throw invalidOptions(`${name} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}.`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern, 'i').test(value)) {
+        throw invalidOptions(`${name} has an invalid format: ${JSON.stringify(value)}.`);
+      }
+      return value;
+    case 'array':
+      if (!Array.isArray(value)) throw invalidOptions(`${name} must be an array, got ${describe(value)}.`);
+      if (schema.minItems !== undefined && value.length < schema.minItems) throw invalidOptions(`${name} needs at least ${schema.minItems} items.`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) throw invalidOptions(`${name} allows at most ${schema.maxItems} items.`);
+      return value.map((item, i) => validateValue(schema.items, item, `${name}[${i}]`));
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw invalidOptions(`${name} must be an object, got ${describe(value)}.`);
+      }
+      return validateObject(schema.properties, value, schema.required, `${name}.`);
+    default:
+      throw new Error(`Unknown option type ${schema.type} for ${name}`);
+  }
+}
+
+function validateObject(properties, values, required = [], prefix = '') {
+  // Own keys only: toString or __proto__ must not pass as options through the prototype
+  const unknown = Object.keys(values).filter(key => !Object.prototype.hasOwnProperty.call(properties, key));
+  if (unknown.length) {
+    throw invalidOptions(`unknown option${unknown.length > 1 ? 's' : ''} ${unknown.map(key => prefix + key).join(', ')}.`);
+  }
+  const result = {};
+  for (const [key, schema] of Object.entries(properties)) {
+    if (values[key] === undefined || values[key] === null) {
+      if (required.includes(key)) throw invalidOptions(`${prefix}${key} is required.`);
+      if (schema.default !== undefined) result[key] = schema.default;
+      continue;
+    }
+    result[key] = validateValue(schema, values[key], prefix + key);
+  }
+  return result;
+}
+
+// Validate `options` against a converter's option schema. Returns a normalized copy with
+// defaults applied; throws a 400 error naming the offending option.
+function validateOptions(schema, options) {
+  if (options === undefined || options === null) options = {};
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw invalidOptions(`options must be an object, got ${describe(options)}.`);
+  }
+  return validateObject(schema || {}, options);
+}
+
+module.exports = {
+  invalidOptions,
+  validateOptions,
+};
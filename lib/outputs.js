@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { convertedDir } = require('./config');
+const { fileTtl } = require('./storage');
+
+// Converted files are stored under random ids and only served through links signed with
+// DOWNLOAD_SECRET. Without it a per-process secret is used, so links die with the process.
+const secret = process.env.DOWNLOAD_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.DOWNLOAD_SECRET) {
+  console.warn('DOWNLOAD_SECRET is not set; download links will stop working when the server restarts.');
+}
+// Links expire after LINK_TTL (ms), never later than the files themselves
+const linkTtl = Math.min(parseInt(process.env.LINK_TTL, 10) || fileTtl, fileTtl);
+
+const newOutputId = () => crypto.randomBytes(16).toString('hex');
+
+// Owner and download name of every top-level entry of convertedDir we wrote, by entry name.
+// Entries are forgotten along with the files they describe.
+const outputs = new Map();
+
+function registerOutput(name, { owner, downloadName }) {
+  const output = { owner, downloadName, createdAt: new Date().toISOString() };
+  outputs.set(name, output);
+  setTimeout(() => {
+    if (outputs.get(name) === output) outputs.delete(name);
+  }, fileTtl).unref();
+}
+
+function outputInfo(name) {
+  return outputs.get(name);
+}
+
+const linkError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const signature = (payload, name) => crypto.createHmac('sha256', secret).update(`${payload}/${name}`).digest('base64url');
+
+// Signatures of single-use links that were already followed, until they would expire anyway
+const usedLinks = new Map();
+
+// Sign a link to the top-level entry `name`. The token carries the expiry, the download name
+// and the single-use flag; a token for a package directory covers every file inside it.
+function signLink(name, { downloadName, expiresIn = linkTtl, singleUse = false }) {
+  const expires = Date.now() + Math.min(expiresIn, linkTtl);
+  const payload = Buffer.from(JSON.stringify({ e: expires, n: downloadName, ...(singleUse && { o: 1 }) })).toString('base64url');
+  return { token: `${payload}.${signature(payload, name)}`, expiresAt: new Date(expires).toISOString() };
+}
+
+// Check a token against the entry it is used for. Resolves with { downloadName }; throws a
+// 403 error for a forged token and a 410 error for an expired or already used one.
+function verifyLink(token, name) {
+  const [payload, sig = ''] = String(token).split('.');
+  const expected = signature(payload, name);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    throw linkError('Invalid download link.', 403);
+  }
+  const { e: expires, n: downloadName, o: singleUse } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (Date.now() > expires) {
+    throw linkError('This download link has expired.', 410);
+  }
+  if (singleUse) {
+    if (usedLinks.has(sig)) throw linkError('This download link was already used.', 410);
+    usedLinks.set(sig, expires);
+    setTimeout(() => usedLinks.delete(sig), expires - Date.now()).unref();
+  }
+  return { downloadName };
+}
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name for clients that read it
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Path of `name` (and optionally a file inside it) under convertedDir, or null when the
+// name could leave it
+const convertedPath = (...names) => (names.some(name => !name || name.startsWith('.') || name.includes('/'))
+  ? null
+  : path.join(convertedDir, ...names));
+
+// Send a converted file, as an attachment under `downloadName` or inline (package files)
+async function sendOutput(res, filePath, { downloadName, inline = false } = {}) {
+  try {
+    await fsPromises.access(filePath);
+  } catch {
+    console.error('File not found:', filePath);
+    return res.status(404).json({ error: 'Converted file not found.' });
+  }
+  if (!inline) {
+    res.setHeader('Content-Disposition', contentDisposition('attachment', downloadName || path.basename(filePath)));
+  }
+  res.sendFile(filePath, (err) => {
+    if (err) {
+      console.error('Error sending file:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to send converted file.' });
+    } else if (!inline) {
+      console.log(`File sent successfully: ${filePath}`);
+    }
+  });
+}
+
+async function cleanupFiles(filePaths) {
+  const maxRetries = 3;
+  const retryDelay = 1000;
+  const cleanupPromises = filePaths.map(async (filePath) => {
+    if (path.dirname(filePath) === convertedDir) outputs.delete(path.basename(filePath));
+    let attempts = 0;
+    while (attempts < maxRetries) {
+      try {
+        const stat = await fsPromises.stat(filePath);
+        // Streaming packages are directories of playlists and segments
+        await (stat.isDirectory() ? fsPromises.rm(filePath, { recursive: true }) : fsPromises.unlink(filePath));
+        console.log(`Deleted file: ${filePath}`);
+        return;
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          console.log(`File not found for deletion: ${filePath}`);
+          return;
+        }
+        if (err.code === 'EPERM') {
+          attempts++;
+          console.warn(`EPERM error on attempt ${attempts} for ${filePath}. Retrying in ${retryDelay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+          if (attempts === maxRetries) {
+            console.error(`Failed to delete file ${filePath} after ${maxRetries} attempts: ${err.message}`);
+          }
+        } else {
+          console.error(`Error deleting file ${filePath}:`, err);
+          break;
+        }
+      }
+    }
+  });
+  await Promise.all(cleanupPromises);
+}
+
+module.exports = {
+  linkTtl,
+  newOutputId,
+  registerOutput,
+  outputInfo,
+  signLink,
+  verifyLink,
+  contentDisposition,
+  convertedPath,
+  sendOutput,
+  cleanupFiles,
+};
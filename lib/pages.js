@@ -0,0 +1,35 @@
+const { invalidOptions } = require('./options');
+
+// Page selections such as "1-3,5,8-": single pages and ranges, 1-based, "8-" running to the end
+const pagesPattern = '^\\s*\\d+\\s*(-\\s*\\d*\\s*)?(,\\s*\\d+\\s*(-\\s*\\d*\\s*)?)*$';
+
+// Parse a page selection into [first, last] ranges; `last` is Infinity for an open range
+function parsePageRanges(spec, name = 'pages') {
+  return spec.replace(/\s+/g, '').split(',').map(part => {
+    const [first, last] = part.split('-').map(Number);
+    const range = [first, part.includes('-') ? (part.endsWith('-') ? Infinity : last) : first];
+    if (range[0] < 1 || range[1] < range[0]) {
+      throw invalidOptions(`${name} range ${part} is invalid.`);
+    }
+    return range;
+  });
+}
+
+// 0-based page indexes of the ranges in a document of `pageCount` pages. Ranges that start
+// past the end are rejected; open or overlong ranges stop at the last page.
+function pageIndexes(ranges, pageCount, name = 'pages') {
+  return ranges.map(([first, last]) => {
+    if (first > pageCount) {
+      throw invalidOptions(`${name} starts at page ${first}, but the document has ${pageCount} page${pageCount === 1 ? '' : 's'}.`);
+    }
+    const indexes = [];
+    for (let page = first; page <= Math.min(last, pageCount); page++) indexes.push(page - 1);
+    return indexes;
+  });
+}
+
+module.exports = {
+  pagesPattern,
+  parsePageRanges,
+  pageIndexes,
+};
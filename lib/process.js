@@ -0,0 +1,242 @@
+const { spawn } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const os = require('os');
+
+// Every conversion runs under this deadline (ms); CONVERSION_TIMEOUT is set in the Dockerfile
+const conversionTimeout = parseInt(process.env.CONVERSION_TIMEOUT, 10) || 120000;
+
+const timeoutError = (ms) => {
+  const err = new Error(`Conversion timed out after ${Math.round(ms / 1000)}s and was stopped.`);
+  err.code = 'ETIMEDOUT';
+  err.status = 504;
+  return err;
+};
+
+const cancelledError = () => {
+  const err = new Error('Conversion cancelled.');
+  err.code = 'ECANCELED';
+  err.status = 499;
+  return err;
+};
+
+// Combine an optional cancellation signal with the conversion timeout.
+// Call `clear()` once the conversion settles so the timer does not keep running.
+function createDeadline(parentSignal, ms = conversionTimeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(timeoutError(ms)), ms);
+  const onParentAbort = () => controller.abort(cancelledError());
+  if (parentSignal) {
+    if (parentSignal.aborted) onParentAbort();
+    else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      if (parentSignal) parentSignal.removeEventListener('abort', onParentAbort);
+    },
+  };
+}
+
+// Kill a child process and everything it started. Children spawned with `detached: true`
+// lead their own process group, so signalling the negative pid reaches the whole tree
+// (libreoffice and ebook-convert both fork helpers that outlive a plain kill).
+function killProcessTree(child, signal = 'SIGKILL') {
+  if (!child || !child.pid || child.exitCode !== null) return;
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    try {
+      child.kill(signal);
+    } catch (killErr) {
+      console.warn(`Failed to kill process ${child.pid}: ${killErr.message}`);
+    }
+  }
+}
+
+// Run `fn(onAbort)` and reject as soon as the signal fires. `onAbort` registers the
+// cleanup (killing a child process) that should happen when the deadline is hit.
+function runWithSignal(signal, fn) {
+  if (!signal) return fn(() => {});
+  if (signal.aborted) return Promise.reject(signal.reason);
+  let abortHandler;
+  const aborted = new Promise((resolve, reject) => {
+    abortHandler = () => reject(signal.reason);
+    signal.addEventListener('abort', abortHandler, { once: true });
+  });
+  const cleanups = [];
+  const onAbort = (cleanup) => cleanups.push(cleanup);
+  const runAborts = () => cleanups.forEach(cleanup => cleanup());
+  signal.addEventListener('abort', runAborts, { once: true });
+  return Promise.race([fn(onAbort), aborted]).finally(() => {
+    signal.removeEventListener('abort', abortHandler);
+    signal.removeEventListener('abort', runAborts);
+  });
+}
+
+// How many instances of each tool may run at once. LibreOffice and Calibre share profile and
+// cache directories and misbehave when several instances overlap. Override with e.g.
+// TOOL_CONCURRENCY="libreoffice=1,ffmpeg=2"; tools not listed here are not limited.
+const toolLimits = {
+  libreoffice: 1,
+  'ebook-convert': 1,
+  ffmpeg: 2,
+  gs: 2,
+  '7z': 2,
+  ...Object.fromEntries((process.env.TOOL_CONCURRENCY || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([tool, limit]) => tool && parseInt(limit, 10) > 0)
+    .map(([tool, limit]) => [tool, parseInt(limit, 10)])),
+};
+
+const toolSlots = new Map();
+
+const slotsFor = (tool) => {
+  if (!toolSlots.has(tool)) toolSlots.set(tool, { active: 0, waiting: [] });
+  return toolSlots.get(tool);
+};
+
+// Run `fn` once a slot for `tool` is free. Waiting counts against the caller's deadline,
+// and an aborted signal drops the caller from the queue. A finishing caller hands its slot
+// straight to the next waiter so newcomers cannot overtake the queue. The slot is held until
+// `fn` settles, so callers that kill a process on abort wrap this in runWithSignal and settle
+// `fn` only once the process has exited.
+async function withToolSlot(tool, fn, signal) {
+  const limit = toolLimits[tool];
+  if (!limit) return fn();
+  const slots = slotsFor(tool);
+  if (slots.active < limit) {
+    slots.active++;
+  } else {
+    await new Promise((resolve, reject) => {
+      const waiter = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        const index = slots.waiting.indexOf(waiter);
+        if (index !== -1) slots.waiting.splice(index, 1);
+        reject(signal.reason);
+      };
+      if (signal) {
+        if (signal.aborted) return reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      slots.waiting.push(waiter);
+      console.log(`Waiting for a ${tool} slot (${slots.active}/${limit} busy, ${slots.waiting.length} queued)`);
+    });
+  }
+  try {
+    return await fn();
+  } finally {
+    const next = slots.waiting.shift();
+    if (next) next();
+    else slots.active--;
+  }
+}
+
+// CPU time spent by external tools, for usage accounting. Work run inside withCpuMeter(meter, fn)
+// adds the user and system seconds of every tool it runs to `meter.cpuSeconds`; in-process
+// work (sharp, pdf-lib) is not metered.
+const cpuMeters = new AsyncLocalStorage();
+
+function withCpuMeter(meter, fn) {
+  return cpuMeters.run(meter, fn);
+}
+
+// The meter of the work in progress, read when a tool starts; a throwaway one outside any
+const currentCpuMeter = () => cpuMeters.getStore() || { cpuSeconds: 0 };
+
+// Tools run under sh so the shell can report, with `times` on fd 3, the CPU time of the tool
+// and everything it waited for. The tool and its arguments stay positional parameters and
+// are never interpolated into the script.
+const timedScript = '"$0" "$@"; status=$?; times >&3; exit $status';
+
+// `times` prints the shell's own user/system times, then its children's: "0m1.250s 0m0.100s"
+const childCpuSeconds = (output) => {
+  const times = [...output.matchAll(/(\d+)m([\d.]+)s/g)].map(([, minutes, seconds]) => minutes * 60 + Number(seconds));
+  return times.length >= 4 ? times[2] + times[3] : 0;
+};
+
+const signalNames = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+// Only the end of stderr is kept; tools like ffmpeg print a line per frame
+const maxStderr = 64 * 1024;
+const maxStdout = 10 * 1024 * 1024;
+
+// Last few non-empty stderr lines, for error messages
+const stderrTail = (stderr, lines = 5) => stderr.trim().split('\n').filter(Boolean).slice(-lines).join('\n');
+
+const missingTool = (tool) => {
+  const missing = new Error(`${tool} is not installed or not on PATH.`);
+  missing.code = 'ENOENT';
+  missing.tool = tool;
+  return missing;
+};
+
+// Spawn `tool` with an argument array (file names are never parsed by a shell) in its own
+// process group, so the deadline can kill the whole tree. `fileSizeLimit` (bytes) caps every
+// file the tool writes through the shell's `ulimit -f`; a tool going past it is killed by
+// SIGXFSZ. `limited: false` skips the tool's concurrency slots, for quick version probes that
+// must not queue behind conversions. Resolves with { stdout, stderr }; rejects with an error
+// carrying `tool`, `exitCode` and the stderr tail.
+function runTool(tool, args, { signal, cwd, env, onStderr, fileSizeLimit, limited = true } = {}) {
+  const meter = currentCpuMeter();
+  const script = fileSizeLimit ? `ulimit -f ${Math.ceil(fileSizeLimit / 512)} && ${timedScript}` : timedScript;
+  // The caller is answered as soon as the signal fires; the slot waits for the killed tree
+  const inSlot = limited ? (fn) => withToolSlot(tool, fn, signal) : (fn) => fn();
+  return runWithSignal(signal, (onAbort) => inSlot(() => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const child = spawn('sh', ['-c', script, tool, ...args], {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    let times = '';
+    child.stdio[3].on('data', chunk => {
+      times += chunk;
+    });
+    child.stdout.on('data', chunk => {
+      if (stdout.length < maxStdout) stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-maxStderr);
+      if (onStderr) onStderr(chunk.toString());
+    });
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') return reject(missingTool('sh'));
+      reject(err);
+    });
+    child.on('close', (exitCode, exitSignal) => {
+      meter.cpuSeconds += childCpuSeconds(times);
+      if (exitCode === 0) return resolve({ stdout, stderr });
+      // sh reports a missing command as 127 and a tool killed by signal N as 128 + N
+      if (exitCode === 127 && /not found/.test(stderr)) return reject(missingTool(tool));
+      const killedBy = exitSignal || (exitCode > 128 && signalNames[exitCode - 128]);
+      const reason = killedBy ? `was killed by ${killedBy}` : `exited with code ${exitCode}`;
+      const tail = stderrTail(stderr);
+      const err = new Error(`${tool} ${reason}${tail ? `: ${tail}` : ''}`);
+      err.tool = tool;
+      err.exitCode = exitCode;
+      err.stdout = stdout;
+      err.stderr = stderr;
+      reject(err);
+    });
+    onAbort(() => killProcessTree(child));
+  })));
+}
+
+module.exports = {
+  conversionTimeout,
+  createDeadline,
+  killProcessTree,
+  runWithSignal,
+  withToolSlot,
+  withCpuMeter,
+  currentCpuMeter,
+  runTool,
+};
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { tempDir } = require('./config');
+const { findConverter, validateConversionOptions, inputTypes, knownTypes } = require('../converters');
+const { findOperation, validateOperation } = require('../operations');
+const { validateOptions } = require('./options');
+
+// Recipes chain conversions: a JSON list of steps run in sequence, each on the files the one
+// before produced. A step either converts every file on its own, like an /api/convert entry,
+//   { "target": "png", "type": "pdf", "options": { "density": 150 } }
+// or runs an operation over all of them together,
+//   { "operation": "bundle", "options": { "format": "zip" } }
+// Intermediate files live in a directory under tempDir that is removed when the recipe ends.
+// Presets are named recipes kept in PRESETS_FILE (default config/presets.json), used with
+// { "preset": "<name>" } in place of a target.
+const presetsFile = process.env.PRESETS_FILE || path.join(__dirname, '..', 'config', 'presets.json');
+const maxSteps = 8;
+const presetNamePattern = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const badRecipe = (message) => {
+  const err = new Error(`Invalid recipe: ${message}`);
+  err.status = 400;
+  return err;
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Shape of a step list, without looking at formats
+function checkSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > maxSteps) {
+    throw badRecipe(`steps must be a list of 1 to ${maxSteps} steps.`);
+  }
+  steps.forEach((step, i) => {
+    const label = `step ${i + 1}`;
+    if (!isObject(step)) throw badRecipe(`${label} must be an object.`);
+    if (Boolean(step.target) === Boolean(step.operation)) throw badRecipe(`${label} needs either a target or an operation.`);
+    if (step.operation && step.type !== undefined) throw badRecipe(`${label}: type only applies to conversion steps.`);
+    if (step.type !== undefined && !knownTypes().includes(step.type)) {
+      throw badRecipe(`${label}: unknown type ${step.type}. Supported types: ${knownTypes().join(', ')}`);
+    }
+    if (step.options !== undefined && !isObject(step.options)) throw badRecipe(`${label}: options must be an object.`);
+    // Covers are uploads claimed by the request, which recipe steps have no way to name
+    if (step.options && step.options.cover !== undefined) throw badRecipe(`${label}: cover is only available to single conversions.`);
+  });
+}
+
+// Check a recipe for an upload of format `from` before anything runs. Formats are followed
+// from step to step where they are known in advance; operations that keep their input's format
+// hide it until the recipe runs, which checks every step again on the files it actually gets.
+// Returns the extension the final output most likely has and the converter types that limit
+// the upload size.
+function planRecipe(from, steps) {
+  checkSteps(steps);
+  let format = from;
+  let extension = from;
+  steps.forEach((step, i) => {
+    const label = `step ${i + 1}`;
+    if (step.operation) {
+      const operation = findOperation(step.operation);
+      if (!operation) throw badRecipe(`${label}: unknown operation ${step.operation}. See GET /api/operations.`);
+      if (format && !operation.inputs.includes('*') && !operation.inputs.includes(format)) {
+        throw badRecipe(`${label}: ${operation.name} does not accept ${format} files.`);
+      }
+      const options = validateOptions(operation.options, step.options);
+      extension = options.format || operation.output;
+      format = options.format || null;
+      return;
+    }
+    const target = String(step.target).toLowerCase();
+    if (format) {
+      const converter = findConverter(format, target, step.type);
+      if (!converter) throw badRecipe(`${label}: cannot convert ${format} to ${target}. See GET /api/formats.`);
+      validateConversionOptions(converter, { from: format, to: target, options: step.options });
+    }
+    format = target;
+    extension = target;
+  });
+  const first = steps[0].target && findConverter(from, String(steps[0].target).toLowerCase(), steps[0].type);
+  return { extension, types: first ? first.types : inputTypes(from) };
+}
+
+// Convert every file of a step on its own; outputs of several files get a -<n> suffix
+async function convertStep(step, label, files, base, written, { onProgress, signal }) {
+  const target = String(step.target).toLowerCase();
+  const produced = [];
+  for (const [j, file] of files.entries()) {
+    const converter = findConverter(file.format, target, step.type);
+    if (!converter) throw badRecipe(`${label}: cannot convert ${file.name} (${file.format}) to ${target}.`);
+    const options = validateConversionOptions(converter, { from: file.format, to: target, options: step.options });
+    const outputPath = `${base}${files.length > 1 ? `-${j + 1}` : ''}.${target}`;
+    written.push(outputPath);
+    const result = await converter.convert({
+      inputPath: file.path,
+      outputPath,
+      from: file.format,
+      to: target,
+      name: file.name,
+      options,
+      onProgress: onProgress && ((percent) => onProgress((j + percent / 100) / files.length * 100)),
+      signal,
+    });
+    const paths = Array.isArray(result) ? result : [outputPath];
+    written.push(...paths);
+    produced.push(...paths);
+  }
+  return produced;
+}
+
+async function operationStep(step, label, files, base, written, { signal }) {
+  const operation = findOperation(step.operation);
+  let options;
+  try {
+    options = validateOperation(operation, { formats: files.map(file => file.format), options: step.options });
+  } catch (err) {
+    throw badRecipe(`${label}: ${err.message}`);
+  }
+  const outputPath = `${base}.${operation.output}`;
+  written.push(outputPath);
+  const result = await operation.run({ inputs: files, outputPath, options, signal });
+  const paths = Array.isArray(result) ? result : [outputPath];
+  written.push(...paths);
+  return paths;
+}
+
+// Run checked `steps` on one upload with the converter context of runConversion. The last
+// step writes next to `outputPath` under its name; the others write into a work directory.
+// Resolves with the paths the last step wrote.
+async function runRecipe(steps, { inputPath, outputPath, from, name, onProgress, signal }) {
+  await fsPromises.mkdir(tempDir, { recursive: true });
+  const workDir = await fsPromises.mkdtemp(path.join(tempDir, 'recipe-'));
+  const stem = path.basename(name, path.extname(name));
+  let files = [{ path: inputPath, format: from, name }];
+  let written = [];
+  try {
+    for (const [i, step] of steps.entries()) {
+      const label = `step ${i + 1}`;
+      const last = i === steps.length - 1;
+      const base = last ? outputPath.slice(0, -path.extname(outputPath).length) : path.join(workDir, `step${i + 1}`);
+      const context = {
+        onProgress: onProgress && ((percent) => onProgress(Math.round((i + percent / 100) / steps.length * 100))),
+        signal,
+      };
+      written = [];
+      const produced = step.operation
+        ? await operationStep(step, label, files, base, written, context)
+        : await convertStep(step, label, files, base, written, context);
+      if (!last && produced.some(file => path.dirname(file) !== workDir)) {
+        throw badRecipe(`${label} produces a directory, which only the last step may.`);
+      }
+      // Intermediates are named after the upload, for operations that keep names (bundle)
+      files = produced.map(file => ({
+        path: file,
+        format: path.extname(file).slice(1).toLowerCase(),
+        name: `${stem}${path.basename(file).slice(path.basename(base).length)}`,
+      }));
+      console.log(`Recipe ${label} of ${steps.length} done for ${name}: ${files.length} file(s)`);
+    }
+    return files.map(file => file.path);
+  } catch (err) {
+    // runConversion only knows about outputPath; remove what else the last step left
+    await Promise.all(written.map(file => fsPromises.rm(file, { recursive: true, force: true })));
+    throw err;
+  } finally {
+    await fsPromises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Presets: { "<name>": { "description": "...", "steps": [...] } }
+function loadPresets() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(presetsFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Cannot read presets from ${presetsFile}: ${err.message}`);
+    return {};
+  }
+  Object.entries(config).forEach(([name, preset]) => {
+    if (!presetNamePattern.test(name)) throw new Error(`Invalid preset name in ${presetsFile}: ${name}`);
+    try {
+      checkSteps(preset.steps);
+    } catch (err) {
+      throw new Error(`Invalid preset ${name} in ${presetsFile}: ${err.message}`);
+    }
+  });
+  console.log(`Loaded ${Object.keys(config).length} presets from ${presetsFile}`);
+  return config;
+}
+
+let presets = loadPresets();
+
+const findPreset = (name) => (Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : null);
+
+// Served by GET /api/presets
+const listPresets = () => Object.entries(presets).map(([name, { description, steps }]) => ({ name, description, steps }));
+
+// Write `next` to the presets file and only then make it the live set, so a failed write
+// leaves memory matching the disk
+const replacePresets = async (next) => {
+  const tempFile = `${presetsFile}.tmp`;
+  try {
+    await fsPromises.writeFile(tempFile, `${JSON.stringify(next, null, 2)}\n`);
+    await fsPromises.rename(tempFile, presetsFile);
+  } catch (err) {
+    await fsPromises.rm(tempFile, { force: true });
+    throw err;
+  }
+  presets = next;
+};
+
+// Create or replace a preset and write the presets file
+async function savePreset(name, { description, steps }) {
+  if (!presetNamePattern.test(name)) {
+    throw badRecipe('preset names are lowercase letters, digits and dashes, at most 64 characters.');
+  }
+  if (description !== undefined && typeof description !== 'string') throw badRecipe('description must be a string.');
+  checkSteps(steps);
+  await replacePresets({ ...presets, [name]: { ...(description && { description }), steps } });
+  console.log(`Saved preset ${name}`);
+  return { name, description, steps };
+}
+
+// Resolves false when there is no such preset
+async function deletePreset(name) {
+  if (!findPreset(name)) return false;
+  await replacePresets(Object.fromEntries(Object.entries(presets).filter(([key]) => key !== name)));
+  console.log(`Deleted preset ${name}`);
+  return true;
+}
+
+module.exports = {
+  planRecipe,
+  runRecipe,
+  findPreset,
+  listPresets,
+  savePreset,
+  deletePreset,
+};
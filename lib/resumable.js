@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { uploadsDir, resumableDir } = require('./config');
+
+// Resumable uploads following the tus 1.0.0 protocol (core plus the creation, expiration,
+// checksum and termination extensions). Each upload is a data file under resumableDir, which
+// grows chunk by chunk (its size is the upload offset), and a JSON file describing it.
+// Uploads expire RESUMABLE_TTL (ms, default 24h) after they were created, finished or not.
+// A finished upload is consumed by the first conversion request that references its id.
+const tusVersion = '1.0.0';
+const tusExtensions = 'creation,expiration,checksum,termination';
+const checksumAlgorithms = ['sha1', 'sha256', 'md5'];
+const resumableTtl = parseInt(process.env.RESUMABLE_TTL, 10) || 24 * 60 * 60 * 1000;
+const expiryInterval = 10 * 60 * 1000;
+
+const uploadError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const idPattern = /^[a-f0-9]{32}$/;
+const dataPath = (id) => path.join(resumableDir, id);
+const infoPath = (id) => path.join(resumableDir, `${id}.json`);
+
+// Upload-Metadata: comma-separated "key base64value" pairs; the value may be absent
+function parseMetadata(header) {
+  if (!header) return {};
+  return Object.fromEntries(header.split(',').map(pair => {
+    const [key, value = ''] = pair.trim().split(' ');
+    return [key, Buffer.from(value, 'base64').toString('utf8')];
+  }).filter(([key]) => key));
+}
+
+async function readUpload(id) {
+  if (!idPattern.test(id)) return null;
+  try {
+    const info = JSON.parse(await fsPromises.readFile(infoPath(id), 'utf8'));
+    const { size } = await fsPromises.stat(dataPath(id));
+    if (Date.now() > Date.parse(info.expiresAt)) return null;
+    return { ...info, offset: size };
+  } catch (err) {
+    // A missing partner file or a torn info file: the upload is gone
+    if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+    throw err;
+  }
+}
+
+// The upload `id` if it exists and belongs to `owner`; a 404 error otherwise, so ids of
+// other clients' uploads cannot be probed
+async function getUpload(id, owner) {
+  const upload = await readUpload(id);
+  if (!upload || upload.owner !== owner) throw uploadError('Upload not found. It may have expired.', 404);
+  return upload;
+}
+
+// Start an upload of `length` bytes with an empty data file
+async function createUpload({ length, metadata, owner }) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+  const info = {
+    id,
+    length,
+    metadata,
+    name: metadata.filename || metadata.name || id,
+    owner,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + resumableTtl).toISOString(),
+  };
+  await fsPromises.mkdir(resumableDir, { recursive: true });
+  await fsPromises.writeFile(dataPath(id), '');
+  await fsPromises.writeFile(infoPath(id), JSON.stringify(info));
+  console.log(`Resumable upload created: ${id} (${info.name}, ${length} bytes)`);
+  return { ...info, offset: 0 };
+}
+
+// Upload-Checksum: "<algorithm> <base64 digest>" of the chunk in the request body
+function parseChecksum(header) {
+  if (!header) return null;
+  const [algorithm, digest] = header.trim().split(' ');
+  if (!checksumAlgorithms.includes(algorithm) || !digest) {
+    throw uploadError(`Unsupported Upload-Checksum. Algorithms: ${checksumAlgorithms.join(', ')}`, 400);
+  }
+  return { algorithm, digest };
+}
+
+// Uploads with a PATCH in flight; a second one for the same upload is refused
+const writing = new Set();
+
+// Append the chunk streamed in `req` at `offset`. Without a checksum whatever arrived before a
+// dropped connection is kept, so the client resumes from there; a chunk with a checksum is
+// kept only whole and verified (460 otherwise). Resolves with the new offset.
+async function writeChunk(upload, req, { offset, checksum }) {
+  if (offset !== upload.offset) {
+    throw uploadError(`Upload-Offset ${offset} does not match the current offset ${upload.offset}.`, 409);
+  }
+  if (writing.has(upload.id)) throw uploadError('Another request is writing to this upload.', 423);
+  writing.add(upload.id);
+  const hash = checksum && crypto.createHash(checksum.algorithm);
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (offset + received > upload.length) {
+        return callback(uploadError(`The upload is larger than its Upload-Length of ${upload.length} bytes.`, 413));
+      }
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  const output = fs.createWriteStream(dataPath(upload.id), { flags: 'r+', start: offset });
+  try {
+    await pipeline(req, counter, output);
+    if (hash && hash.digest('base64') !== checksum.digest) {
+      throw uploadError('Checksum mismatch.', 460);
+    }
+  } catch (err) {
+    // Keep what arrived unless it is unverifiable or overshoots the length
+    if (hash || err.status === 413 || err.status === 460) {
+      await fsPromises.truncate(dataPath(upload.id), offset).catch(() => {});
+    }
+    throw err.status ? err : uploadError(`Upload interrupted: ${err.message}`, 400);
+  } finally {
+    writing.delete(upload.id);
+  }
+  const { size } = await fsPromises.stat(dataPath(upload.id));
+  if (size === upload.length) console.log(`Resumable upload complete: ${upload.id} (${upload.name})`);
+  return size;
+}
+
+async function removeUpload(id) {
+  await Promise.all([dataPath(id), infoPath(id)].map(file => fsPromises.rm(file, { force: true })));
+}
+
+// Take a finished upload out of the resumable store for a conversion request. Resolves with a
+// file in multer's shape, moved to uploadsDir so the request's cleanup removes it.
+async function claimUpload(id, owner) {
+  const upload = await getUpload(String(id), owner);
+  if (upload.offset !== upload.length) {
+    throw uploadError(`Upload ${id} is not finished (${upload.offset} of ${upload.length} bytes).`, 409);
+  }
+  if (writing.has(upload.id)) throw uploadError('Another request is writing to this upload.', 423);
+  const claimedPath = path.join(uploadsDir, crypto.randomBytes(16).toString('hex'));
+  await fsPromises.rename(dataPath(upload.id), claimedPath);
+  await fsPromises.rm(infoPath(upload.id), { force: true });
+  console.log(`Resumable upload ${upload.id} claimed as ${claimedPath}`);
+  const { offset, ...info } = upload;
+  return {
+    fieldname: 'uploads',
+    originalname: upload.name,
+    mimetype: upload.metadata.filetype || 'application/octet-stream',
+    path: claimedPath,
+    size: upload.length,
+    resumable: info,
+  };
+}
+
+// Put a claimed upload back into the store, under its id and expiry, when the request that
+// claimed it is rejected. Resolves false when it could not, leaving the file where it is.
+async function releaseUpload(file) {
+  const { id } = file.resumable;
+  try {
+    await fsPromises.writeFile(infoPath(id), JSON.stringify(file.resumable));
+    await fsPromises.rename(file.path, dataPath(id));
+    console.log(`Resumable upload ${id} released from ${file.path}`);
+    return true;
+  } catch (err) {
+    console.error(`Releasing resumable upload ${id} failed: ${err.message}`);
+    await fsPromises.rm(infoPath(id), { force: true });
+    return false;
+  }
+}
+
+// Remove expired uploads, and data or info files left without their partner by a crash
+async function expireUploads() {
+  let names;
+  try {
+    names = await fsPromises.readdir(resumableDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  const ids = new Set(names.map(name => name.replace(/\.json$/, '')).filter(id => idPattern.test(id)));
+  for (const id of ids) {
+    if (writing.has(id)) continue;
+    const [info, data] = await Promise.all([infoPath(id), dataPath(id)].map(file => fsPromises.stat(file).catch(() => null)));
+    if (!info && !data) continue;
+    if (info && data) {
+      if (await readUpload(id)) continue;
+    } else if (Date.now() - (info || data).mtimeMs < 60 * 1000) {
+      // Being created or claimed right now
+      continue;
+    }
+    await removeUpload(id);
+    console.log(`Removed expired resumable upload ${id}`);
+  }
+}
+
+setInterval(() => {
+  expireUploads().catch(err => console.error(`Expiring resumable uploads failed: ${err.message}`));
+}, expiryInterval).unref();
+
+module.exports = {
+  tusVersion,
+  tusExtensions,
+  checksumAlgorithms,
+  parseMetadata,
+  parseChecksum,
+  getUpload,
+  createUpload,
+  writeChunk,
+  removeUpload,
+  claimUpload,
+  releaseUpload,
+  expireUploads,
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+// Anonymous browser sessions: a random id in a cookie identifies who created a converted
+// file, so only they can delete it. The frontend runs on another origin, so in production
+// the cookie has to be SameSite=None, which browsers only accept together with Secure.
+const cookieName = 'convertors_sid';
+const sessionPattern = /^[a-f0-9]{32}$/;
+const cookieAttributes = `Path=/; Max-Age=${30 * 24 * 60 * 60}; HttpOnly; ${process.env.NODE_ENV === 'production'
+  ? 'SameSite=None; Secure'
+  : 'SameSite=Lax'}`;
+
+// A value that is not valid percent-encoding reads as missing, so the client gets a new session
+const readCookie = (req, name) => {
+  const pair = (req.get('cookie') || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.slice(1).join('='));
+  } catch {
+    return null;
+  }
+};
+
+// Sets `req.owner`, starting a session when the request has none
+function sessionOwner(req, res, next) {
+  let sessionId = readCookie(req, cookieName);
+  if (!sessionId || !sessionPattern.test(sessionId)) {
+    sessionId = crypto.randomBytes(16).toString('hex');
+    res.append('Set-Cookie', `${cookieName}=${sessionId}; ${cookieAttributes}`);
+  }
+  req.owner = `session:${sessionId}`;
+  next();
+}
+
+module.exports = {
+  sessionOwner,
+};
@@ -0,0 +1,149 @@
+const fsPromises = require('fs').promises;
+
+// How many leading bytes are read to identify a file. Large enough for the tar header at 257,
+// the MOBI header at 60 and the first ZIP entry names of OOXML/ODF/EPUB containers.
+const headerSize = 4100;
+
+const ascii = (buffer, offset, text) =>
+  buffer.length >= offset + text.length && buffer.toString('latin1', offset, offset + text.length) === text;
+
+const bytes = (buffer, offset, values) =>
+  buffer.length >= offset + values.length && values.every((value, i) => buffer[offset + i] === value);
+
+// ISO base media files (mp4, mov, m4v, 3g2 ...) share one container; brands are not reliable
+// enough to tell them apart, so any of these extensions is accepted for any of them.
+const isoMedia = ['mp4', 'm4v', 'm4a', 'mov', '3g2', '3gp'];
+const zipBased = ['zip', 'epub', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp'];
+const textBased = ['txt', 'md', 'csv', 'html', 'htm'];
+
+// Signatures are checked in order; the first match wins. `accepts` lists the file extensions
+// that may legitimately carry that content.
+const signatures = [
+  { format: 'png', mime: 'image/png', description: 'PNG image', test: b => bytes(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { format: 'jpg', mime: 'image/jpeg', description: 'JPEG image', accepts: ['jpg', 'jpeg'], test: b => bytes(b, 0, [0xff, 0xd8, 0xff]) },
+  { format: 'gif', mime: 'image/gif', description: 'GIF image', test: b => ascii(b, 0, 'GIF87a') || ascii(b, 0, 'GIF89a') },
+  { format: 'webp', mime: 'image/webp', description: 'WebP image', test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WEBP') },
+  { format: 'wav', mime: 'audio/wav', description: 'WAV audio', test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WAVE') },
+  { format: 'avi', mime: 'video/x-msvideo', description: 'AVI video', test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'AVI ') },
+  { format: 'tiff', mime: 'image/tiff', description: 'TIFF image', accepts: ['tiff', 'tif'], test: b => bytes(b, 0, [0x49, 0x49, 0x2a, 0x00]) || bytes(b, 0, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { format: 'bmp', mime: 'image/bmp', description: 'BMP image', test: b => ascii(b, 0, 'BM') && b.length > 14 && b.readUInt32LE(14) >= 12 && b.readUInt32LE(14) <= 124 },
+  { format: 'ico', mime: 'image/x-icon', description: 'ICO icon', test: b => bytes(b, 0, [0x00, 0x00, 0x01, 0x00]) && b.length > 5 && b.readUInt16LE(4) > 0 },
+  { format: 'pdf', mime: 'application/pdf', description: 'PDF document', test: b => ascii(b, 0, '%PDF-') },
+  { format: 'eps', mime: 'application/postscript', description: 'PostScript document', accepts: ['eps', 'ps'], test: b => ascii(b, 0, '%!PS') || bytes(b, 0, [0xc5, 0xd0, 0xd3, 0xc6]) },
+  { format: 'rtf', mime: 'application/rtf', description: 'RTF document', test: b => ascii(b, 0, '{\\rtf') },
+  { format: 'ole', mime: 'application/x-ole-storage', description: 'legacy Microsoft Office document', accepts: ['doc', 'xls', 'ppt', 'msi'], test: b => bytes(b, 0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  { format: 'epub', mime: 'application/epub+zip', description: 'EPUB ebook', test: b => ascii(b, 0, 'PK\x03\x04') && ascii(b, 30, 'mimetypeapplication/epub+zip') },
+  { format: 'odt', mime: 'application/vnd.oasis.opendocument.text', description: 'OpenDocument text', test: b => ascii(b, 0, 'PK\x03\x04') && ascii(b, 30, 'mimetypeapplication/vnd.oasis.opendocument.text') },
+  { format: 'ods', mime: 'application/vnd.oasis.opendocument.spreadsheet', description: 'OpenDocument spreadsheet', test: b => ascii(b, 0, 'PK\x03\x04') && ascii(b, 30, 'mimetypeapplication/vnd.oasis.opendocument.spreadsheet') },
+  { format: 'odp', mime: 'application/vnd.oasis.opendocument.presentation', description: 'OpenDocument presentation', test: b => ascii(b, 0, 'PK\x03\x04') && ascii(b, 30, 'mimetypeapplication/vnd.oasis.opendocument.presentation') },
+  { format: 'zip', mime: 'application/zip', description: 'ZIP archive', accepts: zipBased, test: b => ascii(b, 0, 'PK\x03\x04') || ascii(b, 0, 'PK\x05\x06') },
+  { format: '7z', mime: 'application/x-7z-compressed', description: '7-Zip archive', test: b => bytes(b, 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { format: 'gz', mime: 'application/gzip', description: 'gzip archive', accepts: ['gz', 'tgz'], test: b => bytes(b, 0, [0x1f, 0x8b]) },
+  { format: 'xz', mime: 'application/x-xz', description: 'xz archive', accepts: ['xz', 'txz'], test: b => bytes(b, 0, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+  { format: 'tar', mime: 'application/x-tar', description: 'tar archive', test: b => ascii(b, 257, 'ustar') },
+  { format: 'rar', mime: 'application/vnd.rar', description: 'RAR archive', test: b => ascii(b, 0, 'Rar!\x1a\x07') },
+  { format: 'mobi', mime: 'application/x-mobipocket-ebook', description: 'Mobipocket/Kindle ebook', accepts: ['mobi', 'azw', 'azw3'], test: b => ascii(b, 60, 'BOOKMOBI') },
+  { format: 'mp4', mime: 'video/mp4', description: 'MP4/QuickTime media', accepts: isoMedia, test: b => ascii(b, 4, 'ftyp') },
+  { format: 'mov', mime: 'video/quicktime', description: 'QuickTime movie', accepts: isoMedia, test: b => ['moov', 'mdat', 'wide', 'free', 'skip'].some(atom => ascii(b, 4, atom)) },
+  { format: 'webm', mime: 'video/webm', description: 'WebM media', accepts: ['webm', 'mkv'], test: b => bytes(b, 0, [0x1a, 0x45, 0xdf, 0xa3]) && b.includes('webm', 0, 'latin1') },
+  { format: 'mkv', mime: 'video/x-matroska', description: 'Matroska media', accepts: ['mkv', 'webm', 'mka'], test: b => bytes(b, 0, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { format: 'asf', mime: 'video/x-ms-asf', description: 'Windows Media (ASF) file', accepts: ['wma', 'wmv', 'asf'], test: b => bytes(b, 0, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]) },
+  { format: 'flv', mime: 'video/x-flv', description: 'Flash video', test: b => ascii(b, 0, 'FLV\x01') },
+  { format: 'flac', mime: 'audio/flac', description: 'FLAC audio', test: b => ascii(b, 0, 'fLaC') },
+  { format: 'opus', mime: 'audio/opus', description: 'Ogg Opus audio', accepts: ['opus', 'ogg'], test: b => ascii(b, 0, 'OggS') && b.includes('OpusHead', 0, 'latin1') },
+  { format: 'ogg', mime: 'audio/ogg', description: 'Ogg media', accepts: ['ogg', 'oga', 'ogv', 'opus'], test: b => ascii(b, 0, 'OggS') },
+  { format: 'aiff', mime: 'audio/aiff', description: 'AIFF audio', accepts: ['aiff', 'aif', 'aifc'], test: b => ascii(b, 0, 'FORM') && (ascii(b, 8, 'AIFF') || ascii(b, 8, 'AIFC')) },
+  { format: 'mmf', mime: 'application/vnd.smaf', description: 'SMAF ringtone', test: b => ascii(b, 0, 'MMMD') },
+  { format: 'mp3', mime: 'audio/mpeg', description: 'MP3 audio', accepts: ['mp3', 'aac'], test: b => ascii(b, 0, 'ID3') },
+  // ADTS AAC and MPEG audio frames both start with an 11-bit sync word; the layer bits tell them apart
+  { format: 'aac', mime: 'audio/aac', description: 'AAC audio', test: b => b.length > 1 && b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  { format: 'mp3', mime: 'audio/mpeg', description: 'MP3 audio', test: b => b.length > 1 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0 },
+];
+
+// Markup is only recognizable once we know the bytes are text
+const textSignatures = [
+  { format: 'html', mime: 'text/html', description: 'HTML document', accepts: ['html', 'htm', 'txt', 'md'], test: text => /^\uFEFF?\s*(<!doctype html|<html[\s>])/i.test(text) },
+  // Only an <svg> root counts, after an optional XML prolog, doctype and comments; pages and
+  // Markdown with inline SVG are not SVG images
+  { format: 'svg', mime: 'image/svg+xml', description: 'SVG image', test: text => /^\uFEFF?\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!doctype[^>]*>\s*)*<svg[\s>]/i.test(text) },
+  { format: 'fb2', mime: 'application/x-fictionbook+xml', description: 'FictionBook ebook', test: text => /<FictionBook[\s>]/.test(text) },
+];
+
+// Formats without a usable signature. They are taken at their extension's word when nothing
+// else matched.
+const unsniffable = ['tga', 'wbmp'];
+
+const looksLikeText = (buffer) => {
+  if (buffer.length === 0 || buffer.includes(0)) return false;
+  // Decoding with `fatal` rejects invalid UTF-8; a cut-off multi-byte sequence at the end is fine
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, Math.max(0, buffer.length - 3)));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Identify content from its leading bytes. Returns { format, mime, description, accepts } or null.
+function detect(buffer) {
+  const match = signatures.find(signature => signature.test(buffer));
+  if (match) {
+    return { format: match.format, mime: match.mime, description: match.description, accepts: match.accepts || [match.format] };
+  }
+  if (looksLikeText(buffer)) {
+    const text = buffer.toString('utf-8');
+    const markup = textSignatures.find(signature => signature.test(text));
+    if (markup) {
+      return { format: markup.format, mime: markup.mime, description: markup.description, accepts: markup.accepts || [markup.format] };
+    }
+    return { format: 'txt', mime: 'text/plain', description: 'plain text', accepts: textBased };
+  }
+  return null;
+}
+
+const unsupportedMediaType = (message, detected) => {
+  const err = new Error(message);
+  err.status = 415;
+  err.detected = detected ? { format: detected.format, mime: detected.mime, description: detected.description } : null;
+  return err;
+};
+
+// Work out the real format of an upload. The claimed extension is kept when the content agrees
+// with it (it is usually more specific, e.g. epub over zip); a file without an extension takes
+// the detected format. Anything else is rejected with a 415 naming the detected type.
+async function identifyFile(filePath, originalName) {
+  const handle = await fsPromises.open(filePath, 'r');
+  let buffer;
+  try {
+    buffer = Buffer.alloc(headerSize);
+    const { bytesRead } = await handle.read(buffer, 0, headerSize, 0);
+    buffer = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+  const claimed = (originalName.match(/\.([^.]+)$/) || [])[1];
+  const claimedExt = claimed ? claimed.toLowerCase() : null;
+  const detected = detect(buffer);
+
+  if (!detected) {
+    if (claimedExt && unsniffable.includes(claimedExt)) {
+      return { format: claimedExt, detected: null };
+    }
+    throw unsupportedMediaType(`Could not identify the contents of ${originalName}.`, null);
+  }
+  if (!claimedExt) {
+    return { format: detected.format, detected };
+  }
+  if (detected.accepts.includes(claimedExt)) {
+    return { format: claimedExt, detected };
+  }
+  throw unsupportedMediaType(
+    `${originalName} looks like a ${detected.description} (${detected.format}), not .${claimedExt}.`,
+    detected
+  );
+}
+
+module.exports = {
+  detect,
+  identifyFile,
+};
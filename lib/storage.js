@@ -0,0 +1,137 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { uploadsDir, resumableDir, convertedDir, tempDir, officeRuntimeDir } = require('./config');
+
+// Converted files are removed this long after they were written (FILE_TTL, ms). Uploads and
+// temp entries older than that belong to no running request and are removed too.
+const fileTtl = parseInt(process.env.FILE_TTL, 10) || 60 * 60 * 1000;
+const sweepInterval = parseInt(process.env.SWEEP_INTERVAL, 10) || 5 * 60 * 1000;
+// Disk budget (STORAGE_BUDGET_MB) shared by uploads, converted files and temp files. When
+// it runs out the oldest converted files are evicted; new requests are refused while
+// uploads and temp files in flight alone fill it.
+const storageBudget = (parseInt(process.env.STORAGE_BUDGET_MB, 10) || 2048) * 1024 * 1024;
+// Files younger than this are never evicted, so a fresh result survives until it is fetched
+const evictionGrace = 60 * 1000;
+
+const storageFull = (message) => {
+  const err = new Error(message);
+  err.status = 507;
+  return err;
+};
+
+// Size in bytes of a file or directory tree
+async function sizeOf(entryPath) {
+  const stat = await fsPromises.lstat(entryPath);
+  if (!stat.isDirectory()) return stat.size;
+  const names = await fsPromises.readdir(entryPath);
+  const sizes = await Promise.all(names.map(name => sizeOf(path.join(entryPath, name)).catch(() => 0)));
+  return sizes.reduce((sum, size) => sum + size, 0);
+}
+
+// Top-level entries of a directory with their size and age. The LibreOffice profiles live
+// under tempDir and are reused between runs, and resumable uploads under uploadsDir expire on
+// their own schedule, so neither is part of the listing of its parent.
+async function entriesOf(dir) {
+  let names;
+  try {
+    names = await fsPromises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = await Promise.all(names.map(async name => {
+    const entryPath = path.join(dir, name);
+    if (entryPath === officeRuntimeDir || entryPath === resumableDir) return null;
+    try {
+      const stat = await fsPromises.lstat(entryPath);
+      return { path: entryPath, size: await sizeOf(entryPath), modified: stat.mtimeMs };
+    } catch {
+      // Removed while we were looking
+      return null;
+    }
+  }));
+  return entries.filter(Boolean);
+}
+
+const removeEntry = (entry, reason) => fsPromises.rm(entry.path, { recursive: true, force: true })
+  .then(() => console.log(`Removed ${entry.path} (${reason})`))
+  .catch(err => console.error(`Error removing ${entry.path}: ${err.message}`));
+
+const total = (entries) => entries.reduce((sum, entry) => sum + entry.size, 0);
+
+const storageDirs = [convertedDir, uploadsDir, resumableDir, tempDir];
+
+async function storageUsage() {
+  const [converted, uploads, resumable, temp] = await Promise.all(storageDirs.map(entriesOf));
+  const used = total(converted) + total(uploads) + total(resumable) + total(temp);
+  return {
+    converted: { entries: converted.length, bytes: total(converted) },
+    uploads: { entries: uploads.length, bytes: total(uploads) },
+    resumable: { entries: resumable.length, bytes: total(resumable) },
+    temp: { entries: temp.length, bytes: total(temp) },
+    used,
+    budget: storageBudget,
+    free: Math.max(0, storageBudget - used),
+    fileTtl,
+  };
+}
+
+// Make room for `incoming` bytes, evicting the oldest converted files first. Throws a 507
+// error when even that is not enough.
+async function ensureCapacity(incoming = 0) {
+  const [converted, uploads, resumable, temp] = await Promise.all(storageDirs.map(entriesOf));
+  let used = total(converted) + total(uploads) + total(resumable) + total(temp);
+  if (used + incoming <= storageBudget) return;
+  const now = Date.now();
+  const evictable = converted
+    .filter(entry => now - entry.modified > evictionGrace)
+    .sort((a, b) => a.modified - b.modified);
+  for (const entry of evictable) {
+    if (used + incoming <= storageBudget) break;
+    await removeEntry(entry, 'storage budget');
+    used -= entry.size;
+  }
+  if (used + incoming > storageBudget) {
+    throw storageFull('The server is out of storage space. Please try again in a few minutes.');
+  }
+}
+
+// Remove expired converted files and orphaned uploads and temp entries. With `everything`,
+// uploads and temp entries go regardless of age: at startup no request can still own them.
+async function sweep({ everything = false } = {}) {
+  const now = Date.now();
+  const expired = (entry) => everything || now - entry.modified > fileTtl;
+  const [converted, orphans] = await Promise.all([
+    entriesOf(convertedDir),
+    Promise.all([uploadsDir, tempDir].map(entriesOf)).then(lists => lists.flat()),
+  ]);
+  const stale = [
+    ...converted.filter(entry => now - entry.modified > fileTtl).map(entry => [entry, 'expired']),
+    ...orphans.filter(expired).map(entry => [entry, 'orphaned']),
+  ];
+  for (const [entry, reason] of stale) {
+    await removeEntry(entry, reason);
+  }
+  if (stale.length) console.log(`Sweep removed ${stale.length} entries`);
+  await ensureCapacity().catch(err => console.warn(`Sweep: ${err.message}`));
+}
+
+// Sweep everything left over from a previous run, then expired files every SWEEP_INTERVAL.
+// Resolves once the startup sweep is done, so it cannot race the first uploads.
+async function startSweeper() {
+  await sweep({ everything: true }).catch(err => console.error(`Startup sweep failed: ${err.message}`));
+  const timer = setInterval(() => {
+    sweep().catch(err => console.error(`Sweep failed: ${err.message}`));
+  }, sweepInterval);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  fileTtl,
+  sizeOf,
+  storageUsage,
+  ensureCapacity,
+  sweep,
+  startSweeper,
+};
@@ -0,0 +1,52 @@
+const { runTool, createDeadline } = require('./process');
+const { calibreFormats } = require('./calibre');
+
+// External tools the converters and inspectors depend on, probed by GET /status. `formats`
+// reports which formats a tool that passed its version check actually handles.
+const tools = [
+  { name: 'FFmpeg', command: 'ffmpeg', args: ['-version'] },
+  { name: 'FFprobe', command: 'ffprobe', args: ['-version'] },
+  { name: 'Ghostscript', command: 'gs', args: ['--version'] },
+  { name: 'Poppler', command: 'pdftoppm', args: ['-v'] },
+  { name: 'LibreOffice', command: 'libreoffice', args: ['--version'] },
+  { name: 'Calibre', command: 'ebook-convert', args: ['--version'], formats: calibreFormats },
+  { name: 'Calibre metadata', command: 'ebook-meta', args: ['--version'] },
+  { name: '7-Zip', command: '7z', args: ['i'] },
+];
+
+const findTool = (command) => tools.find(tool => tool.command === command);
+
+// A tool that takes longer than this to print its version counts as broken
+const probeTimeout = 10000;
+
+// Probe one tool under its own short deadline (and the caller's `signal`), outside the
+// conversion slots so it never waits behind a running LibreOffice or Calibre. Never rejects:
+// a missing, broken or hanging tool is reported as Failed.
+async function checkTool({ name, command, args, formats }, { signal } = {}) {
+  const deadline = createDeadline(signal, probeTimeout);
+  try {
+    const { stdout, stderr } = await runTool(command, args, { signal: deadline.signal, limited: false });
+    const details = (stdout || stderr).split('\n')[0];
+    console.log(`${name} version:`, details);
+    if (!formats) return { name, status: 'OK', details };
+    return { name, status: 'OK', details, formats: await formats(deadline.signal).catch(err => ({ error: err.message })) };
+  } catch (err) {
+    const timedOut = deadline.signal.aborted && deadline.signal.reason.code === 'ETIMEDOUT';
+    const details = timedOut ? `${command} did not answer within ${probeTimeout / 1000}s.` : err.message;
+    console.error(`${name} check failed:`, details);
+    return { name, status: 'Failed', details };
+  } finally {
+    deadline.clear();
+  }
+}
+
+function checkTools() {
+  return Promise.all(tools.map(checkTool));
+}
+
+module.exports = {
+  tools,
+  findTool,
+  checkTool,
+  checkTools,
+};
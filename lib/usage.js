@@ -0,0 +1,75 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+
+// Conversions, input bytes and tool CPU seconds per client and per converter (or operation),
+// reported by GET /api/usage. With USAGE_FILE set the totals are saved there every minute and
+// survive restarts; otherwise they start over with the process.
+const usageFile = process.env.USAGE_FILE;
+const saveInterval = 60 * 1000;
+
+const emptyTotals = () => ({ conversions: 0, failed: 0, inputBytes: 0, cpuSeconds: 0 });
+
+let usage = { since: new Date().toISOString(), clients: {} };
+let dirty = false;
+
+if (usageFile) {
+  try {
+    usage = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+    console.log(`Loaded usage totals since ${usage.since} from ${usageFile}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Cannot read usage totals from ${usageFile}: ${err.message}. Starting over.`);
+  }
+}
+
+const addTotals = (totals, { failed, inputBytes, cpuSeconds }) => {
+  totals[failed ? 'failed' : 'conversions']++;
+  totals.inputBytes += inputBytes;
+  totals.cpuSeconds += cpuSeconds;
+};
+
+// Count one conversion, operation or inspection of `client` by `converter`
+function recordUsage(client, converter, { inputBytes = 0, cpuSeconds = 0, failed = false }) {
+  const entry = usage.clients[client] || (usage.clients[client] = { ...emptyTotals(), converters: {} });
+  const byConverter = entry.converters[converter] || (entry.converters[converter] = emptyTotals());
+  const record = { failed, inputBytes, cpuSeconds };
+  addTotals(entry, record);
+  addTotals(byConverter, record);
+  dirty = true;
+}
+
+const rounded = (totals) => ({ ...totals, cpuSeconds: Math.round(totals.cpuSeconds * 1000) / 1000 });
+
+// Totals of every client, or only of `client`
+function usageReport(client) {
+  const ids = client ? [client] : Object.keys(usage.clients).sort();
+  return {
+    since: usage.since,
+    clients: ids.map(id => {
+      const { converters = {}, ...totals } = usage.clients[id] || { ...emptyTotals() };
+      return {
+        client: id,
+        ...rounded(totals),
+        converters: Object.fromEntries(Object.entries(converters).map(([name, entry]) => [name, rounded(entry)])),
+      };
+    }),
+  };
+}
+
+async function saveUsage() {
+  if (!usageFile || !dirty) return;
+  dirty = false;
+  try {
+    await fsPromises.writeFile(`${usageFile}.tmp`, JSON.stringify(usage));
+    await fsPromises.rename(`${usageFile}.tmp`, usageFile);
+  } catch (err) {
+    dirty = true;
+    console.error(`Cannot save usage totals to ${usageFile}: ${err.message}`);
+  }
+}
+
+if (usageFile) setInterval(saveUsage, saveInterval).unref();
+
+module.exports = {
+  recordUsage,
+  usageReport,
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const archiver = require('archiver');
+const { runWithSignal } = require('./process');
+
+// ZIP stream of `entries` ({ path, name, directory }); directories are added with their
+// contents under `name`. Images and most converted formats are already compressed, so a
+// light deflate level is enough. The caller pipes the stream and calls finalize().
+function zipArchive(entries) {
+  const archive = archiver('zip', { zlib: { level: 1 } });
+  entries.forEach(entry => (entry.directory
+    ? archive.directory(entry.path, entry.name)
+    : archive.file(entry.path, { name: entry.name })));
+  return archive;
+}
+
+// Write `entries` into a ZIP at `outputPath`
+function writeZip(entries, outputPath, signal) {
+  return runWithSignal(signal, (onAbort) => new Promise((resolve, reject) => {
+    const archive = zipArchive(entries);
+    const stream = fs.createWriteStream(outputPath);
+    onAbort(() => archive.abort());
+    stream.on('close', resolve);
+    stream.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(stream);
+    archive.finalize();
+  }));
+}
+
+module.exports = {
+  zipArchive,
+  writeZip,
+};
@@ -0,0 +1,37 @@
+const fsPromises = require('fs').promises;
+const { invalidOptions } = require('../lib/options');
+const { archiveOutputs, bundleFiles } = require('../lib/archive');
+
+// All uploads of the request in one archive, under their original names. The output path
+// carries the default extension, so other formats swap it for their own.
+async function bundle({ inputs, outputPath, options, signal }) {
+  const archivePath = outputPath.replace(/\.zip$/, `.${options.format}`);
+  try {
+    await bundleFiles(inputs, archivePath, options.format, { level: options.level, signal });
+  } catch (err) {
+    await fsPromises.rm(archivePath, { force: true });
+    throw err;
+  }
+  console.log(`Bundled ${inputs.length} files: ${archivePath}`);
+  return [archivePath];
+}
+
+module.exports = [
+  {
+    name: 'bundle',
+    description: 'Pack every upload into one archive under its original name',
+    inputs: ['*'],
+    maxFiles: 5,
+    output: 'zip',
+    options: {
+      format: { type: 'string', enum: archiveOutputs, default: 'zip' },
+      level: { type: 'integer', min: 0, max: 9, description: '7-Zip compression level (0 stores, 9 compresses most); not for tar' },
+    },
+    validate: ({ options }) => {
+      if (options.level !== undefined && options.format === 'tar') {
+        throw invalidOptions('level does not apply to tar output.');
+      }
+    },
+    run: bundle,
+  },
+];
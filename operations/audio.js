@@ -0,0 +1,329 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { runTool } = require('../lib/process');
+const { probe, probeDuration } = require('../lib/ffmpeg');
+const { invalidOptions } = require('../lib/options');
+const { audioFormats, audioCodecArgs } = require('../lib/media');
+const { writeZip } = require('../lib/zip');
+
+// Splitting stops here, so a low threshold cannot produce thousands of files
+const maxParts = 100;
+
+const formatOption = { type: 'string', enum: audioFormats, description: 'Output format (default: that of the first upload)' };
+const thresholdOption = { type: 'number', min: -90, max: -10, default: -50, description: 'Anything quieter than this many dB counts as silence' };
+
+const badInput = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// The ffmpeg probed by GET /status, quiet apart from what the filters print
+const ffmpeg = (args, options) => runTool('ffmpeg', ['-hide_banner', '-nostdin', '-y', ...args], options);
+
+const targetFormat = (inputs, options) => options.format || inputs[0].format;
+
+// The output path carries the operation's default extension; other formats swap it
+const withoutExtension = (file) => file.slice(0, -path.extname(file).length);
+const withFormat = (outputPath, format) => `${withoutExtension(outputPath)}.${format}`;
+
+// Encoding for the output: the container's default codec, at the input's sample rate where
+// the codec allows it (loudnorm resamples to 192 kHz internally)
+async function encodeArgs(input, format, signal) {
+  if (format === 'opus') return [...audioCodecArgs(format), '-ar', '48000'];
+  const { streams = [] } = await probe(input.path, { signal });
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  if (!audio) throw badInput(`${input.name} has no audio stream.`);
+  return [...audioCodecArgs(format), '-ar', String(audio.sample_rate || 48000)];
+}
+
+// Run `fn` and remove `paths` if it fails, since they do not carry the default output name
+async function removeOnFailure(paths, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    await Promise.all(paths.map(file => fsPromises.rm(file, { force: true })));
+    throw err;
+  }
+}
+
+// Silent stretches as [{ start, end }] in seconds; `end` is null for silence that runs to the
+// end of the file. silencedetect prints a line per event, so they are collected as they come
+// rather than from the stderr tail.
+async function detectSilences(input, { threshold, minSilence }, signal) {
+  const silences = [];
+  let pending = '';
+  const onLine = (line) => {
+    const start = line.match(/silence_start: (-?[\d.]+)/);
+    const end = line.match(/silence_end: ([\d.]+)/);
+    if (start) silences.push({ start: Math.max(0, Number(start[1])), end: null });
+    if (end && silences.length) silences[silences.length - 1].end = Number(end[1]);
+  };
+  await ffmpeg([
+    '-i', input.path, '-vn', '-af', `silencedetect=noise=${threshold}dB:d=${minSilence}`, '-f', 'null', '-',
+  ], {
+    signal,
+    onStderr: (chunk) => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(onLine);
+    },
+  });
+  onLine(pending);
+  return silences;
+}
+
+// loudnorm's print_format=json block, the last JSON object on stderr
+const parseLoudnorm = (stderr) => {
+  const blocks = stderr.match(/\{[^{}]*\}/g);
+  if (!blocks) throw new Error('loudnorm printed no measurement.');
+  return JSON.parse(blocks[blocks.length - 1]);
+};
+
+// EBU R128 in two passes: measure, then apply a linear gain where the measured range allows
+async function normalizeLoudness({ inputs, outputPath, options, signal }) {
+  const [input] = inputs;
+  const format = targetFormat(inputs, options);
+  const output = withFormat(outputPath, format);
+  const target = `I=${options.integrated}:TP=${options.truePeak}:LRA=${options.range}`;
+  const { stderr } = await ffmpeg([
+    '-i', input.path, '-vn', '-af', `loudnorm=${target}:print_format=json`, '-f', 'null', '-',
+  ], { signal });
+  const measured = parseLoudnorm(stderr);
+  if (!Number.isFinite(Number(measured.input_i))) {
+    throw badInput(`${input.name} is silent; there is nothing to normalize.`);
+  }
+  const filter = [
+    `loudnorm=${target}`,
+    `measured_I=${measured.input_i}`,
+    `measured_TP=${measured.input_tp}`,
+    `measured_LRA=${measured.input_lra}`,
+    `measured_thresh=${measured.input_thresh}`,
+    `offset=${measured.target_offset}`,
+    'linear=true',
+  ].join(':');
+  const encode = await encodeArgs(input, format, signal);
+  await removeOnFailure([output], () => ffmpeg(['-i', input.path, '-vn', '-af', filter, ...encode, output], { signal }));
+  console.log(`Normalized ${input.name} from ${measured.input_i} to ${options.integrated} LUFS: ${output}`);
+  return [output];
+}
+
+// Leading and trailing silence go; a little of each is kept so the audio does not start abruptly
+async function trimSilence({ inputs, outputPath, options, signal }) {
+  const [input] = inputs;
+  const format = targetFormat(inputs, options);
+  const output = withFormat(outputPath, format);
+  const duration = await probeDuration(input.path, { signal });
+  if (!duration) throw badInput(`${input.name} has no known duration.`);
+  const silences = await detectSilences(input, options, signal);
+  const leading = silences.find(silence => silence.start <= 0.05);
+  if (leading && leading.end === null) throw badInput(`${input.name} is silent at ${options.threshold} dB.`);
+  const trailing = silences.find(silence => silence !== leading && (silence.end === null || silence.end >= duration - 0.05));
+  const start = leading ? Math.max(0, leading.end - options.keep) : 0;
+  const end = trailing ? Math.min(duration, trailing.start + options.keep) : duration;
+  if (end <= start) throw badInput(`${input.name} is silent at ${options.threshold} dB.`);
+  const encode = await encodeArgs(input, format, signal);
+  await removeOnFailure([output], () => ffmpeg([
+    '-ss', start.toFixed(3), '-i', input.path, '-t', (end - start).toFixed(3), '-vn', ...encode, output,
+  ], { signal }));
+  console.log(`Trimmed ${input.name} to ${start.toFixed(2)}s-${end.toFixed(2)}s: ${output}`);
+  return [output];
+}
+
+// Parts named `<output name>-001.<format>`, cut every `duration` seconds or in the middle of
+// each silence between sounds
+async function splitAudio({ inputs, outputPath, options, signal }) {
+  const [input] = inputs;
+  const format = targetFormat(inputs, options);
+  const duration = await probeDuration(input.path, { signal });
+  if (!duration) throw badInput(`${input.name} has no known duration.`);
+  let cuts;
+  if (options.mode === 'duration') {
+    if (Math.ceil(duration / options.duration) > maxParts) {
+      throw badInput(`Splitting ${input.name} every ${options.duration}s would make more than ${maxParts} parts.`);
+    }
+    cuts = ['-segment_time', String(options.duration)];
+  } else {
+    const points = (await detectSilences(input, options, signal))
+      .filter(silence => silence.start > 0.05 && silence.end !== null && silence.end < duration - 0.05)
+      .map(silence => ((silence.start + silence.end) / 2).toFixed(3));
+    if (points.length === 0) throw badInput(`${input.name} has no silence of ${options.minSilence}s at ${options.threshold} dB to split at.`);
+    if (points.length >= maxParts) {
+      throw badInput(`${input.name} would split into more than ${maxParts} parts; raise minSilence or lower the threshold.`);
+    }
+    cuts = ['-segment_times', points.join(',')];
+  }
+  const outputBase = withoutExtension(outputPath);
+  const dir = path.dirname(outputBase);
+  const partPrefix = `${path.basename(outputBase)}-`;
+  const parts = async () => (await fsPromises.readdir(dir))
+    .filter(name => name.startsWith(partPrefix) && name.endsWith(`.${format}`))
+    .sort()
+    .map(name => path.join(dir, name));
+  const encode = await encodeArgs(input, format, signal);
+  try {
+    await ffmpeg([
+      '-i', input.path, '-vn', ...encode,
+      '-f', 'segment', ...cuts, '-segment_start_number', '1', '-reset_timestamps', '1',
+      `${outputBase}-%03d.${format}`,
+    ], { signal });
+    const outputs = await parts();
+    if (!options.zip) {
+      console.log(`Split ${input.name} into ${outputs.length} parts`);
+      return outputs;
+    }
+    const zipPath = `${outputBase}.zip`;
+    await writeZip(outputs.map(file => ({ path: file, name: path.basename(file) })), zipPath, signal);
+    await Promise.all(outputs.map(file => fsPromises.rm(file, { force: true })));
+    console.log(`Split ${input.name} into ${outputs.length} parts: ${zipPath}`);
+    return [zipPath];
+  } catch (err) {
+    await Promise.all([...await parts(), `${outputBase}.zip`].map(file => fsPromises.rm(file, { force: true })));
+    throw err;
+  }
+}
+
+async function fadeAudio({ inputs, outputPath, options, signal }) {
+  const [input] = inputs;
+  const format = targetFormat(inputs, options);
+  const output = withFormat(outputPath, format);
+  const { fadeIn, fadeOut, curve } = options;
+  const filters = [];
+  if (fadeIn) filters.push(`afade=t=in:st=0:d=${fadeIn}:curve=${curve}`);
+  if (fadeOut) {
+    const duration = await probeDuration(input.path, { signal });
+    if (!duration) throw badInput(`${input.name} has no known duration to fade out at.`);
+    if ((fadeIn || 0) + fadeOut > duration) {
+      throw badInput(`The fades (${(fadeIn || 0) + fadeOut}s) are longer than ${input.name} (${duration.toFixed(2)}s).`);
+    }
+    filters.push(`afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut}:curve=${curve}`);
+  }
+  const encode = await encodeArgs(input, format, signal);
+  await removeOnFailure([output], () => ffmpeg(['-i', input.path, '-vn', '-af', filters.join(','), ...encode, output], { signal }));
+  console.log(`Faded ${input.name}: ${output}`);
+  return [output];
+}
+
+// Every upload in order. Inputs may differ in sample rate and channels, so each is brought to
+// the first one's rate in stereo before they are joined.
+async function concatAudio({ inputs, outputPath, options, signal }) {
+  const format = targetFormat(inputs, options);
+  const output = withFormat(outputPath, format);
+  const encode = await encodeArgs(inputs[0], format, signal);
+  const rate = encode[encode.indexOf('-ar') + 1];
+  for (const input of inputs.slice(1)) {
+    const { streams = [] } = await probe(input.path, { signal });
+    if (!streams.some(stream => stream.codec_type === 'audio')) throw badInput(`${input.name} has no audio stream.`);
+  }
+  const filter = [
+    ...inputs.map((input, i) => `[${i}:a:0]aresample=${rate},aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`),
+    `${inputs.map((input, i) => `[a${i}]`).join('')}concat=n=${inputs.length}:v=0:a=1[out]`,
+  ].join(';');
+  await removeOnFailure([output], () => ffmpeg([
+    ...inputs.flatMap(input => ['-i', input.path]), '-filter_complex', filter, '-map', '[out]', ...encode, output,
+  ], { signal }));
+  console.log(`Concatenated ${inputs.length} files: ${output}`);
+  return [output];
+}
+
+// The whole file in one picture: amplitude over time, or a spectrogram
+async function renderWaveform({ inputs, outputPath, options, signal }) {
+  const [input] = inputs;
+  const { kind, width, height, color, legend } = options;
+  const size = `${width}x${height}`;
+  const filter = kind === 'spectrogram'
+    ? `[0:a:0]showspectrumpic=s=${size}:legend=${legend ? 1 : 0}`
+    : `[0:a:0]aformat=channel_layouts=mono,showwavespic=s=${size}:colors=0x${color.slice(1)}`;
+  await ffmpeg(['-i', input.path, '-filter_complex', filter, '-frames:v', '1', outputPath], { signal });
+  console.log(`Rendered ${kind} of ${input.name}: ${outputPath}`);
+}
+
+module.exports = [
+  {
+    name: 'normalize',
+    description: 'Two-pass EBU R128 loudness normalization',
+    inputs: audioFormats,
+    output: 'mp3',
+    options: {
+      integrated: { type: 'number', min: -70, max: -5, default: -16, description: 'Target integrated loudness in LUFS (-16 for podcasts, -23 for broadcast)' },
+      truePeak: { type: 'number', min: -9, max: 0, default: -1.5, description: 'Maximum true peak in dBTP' },
+      range: { type: 'number', min: 1, max: 50, default: 11, description: 'Target loudness range in LU' },
+      format: formatOption,
+    },
+    run: normalizeLoudness,
+  },
+  {
+    name: 'trim-silence',
+    description: 'Remove leading and trailing silence',
+    inputs: audioFormats,
+    output: 'mp3',
+    options: {
+      threshold: thresholdOption,
+      minSilence: { type: 'number', min: 0.05, max: 30, default: 0.5, description: 'Shortest silence in seconds that is trimmed' },
+      keep: { type: 'number', min: 0, max: 5, default: 0.2, description: 'Seconds of silence left at each end' },
+      format: formatOption,
+    },
+    run: trimSilence,
+  },
+  {
+    name: 'split-audio',
+    description: 'Split audio into parts at silences or every fixed number of seconds',
+    inputs: audioFormats,
+    output: 'mp3',
+    options: {
+      mode: { type: 'string', enum: ['silence', 'duration'], default: 'silence' },
+      duration: { type: 'number', min: 1, max: 86400, description: 'Part length in seconds (duration mode)' },
+      threshold: thresholdOption,
+      minSilence: { type: 'number', min: 0.1, max: 30, default: 1, description: 'Shortest silence in seconds that separates parts (silence mode)' },
+      format: formatOption,
+      zip: { type: 'boolean', default: false, description: 'Return one ZIP of all parts' },
+    },
+    validate: ({ options }) => {
+      if (options.mode === 'duration' && !options.duration) throw invalidOptions('duration mode needs a duration.');
+      if (options.mode === 'silence' && options.duration) throw invalidOptions('duration only applies to duration mode.');
+    },
+    run: splitAudio,
+  },
+  {
+    name: 'fade',
+    description: 'Fade audio in at the start and out at the end',
+    inputs: audioFormats,
+    output: 'mp3',
+    options: {
+      fadeIn: { type: 'number', min: 0.1, max: 60, description: 'Fade-in length in seconds' },
+      fadeOut: { type: 'number', min: 0.1, max: 60, description: 'Fade-out length in seconds' },
+      curve: { type: 'string', enum: ['tri', 'qsin', 'hsin', 'esin', 'log', 'exp'], default: 'tri', description: 'Fade shape (tri is linear)' },
+      format: formatOption,
+    },
+    validate: ({ options }) => {
+      if (!options.fadeIn && !options.fadeOut) throw invalidOptions('Give fadeIn, fadeOut or both.');
+    },
+    run: fadeAudio,
+  },
+  {
+    name: 'concat',
+    description: 'Join audio files in upload order',
+    inputs: audioFormats,
+    minFiles: 2,
+    maxFiles: 5,
+    output: 'mp3',
+    options: {
+      format: formatOption,
+    },
+    run: concatAudio,
+  },
+  {
+    name: 'waveform',
+    description: 'Render a waveform or spectrogram of the whole file as a PNG',
+    inputs: audioFormats,
+    output: 'png',
+    options: {
+      kind: { type: 'string', enum: ['waveform', 'spectrogram'], default: 'waveform' },
+      width: { type: 'integer', min: 100, max: 4000, default: 1200 },
+      height: { type: 'integer', min: 50, max: 2000, default: 240 },
+      color: { type: 'string', pattern: '^#[0-9a-f]{6}$', default: '#3b82f6', description: 'Waveform colour' },
+      legend: { type: 'boolean', default: false, description: 'Frame a spectrogram with time and frequency scales' },
+    },
+    run: renderWaveform,
+  },
+];
@@ -0,0 +1,43 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { runTool } = require('../lib/process');
+const { invalidOptions } = require('../lib/options');
+const { ebookFormats, coverImages, metadataOptions, metadataArgs } = require('../lib/calibre');
+
+// The book keeps its format, so the output swaps the default extension for the input's
+const withFormat = (outputPath, format) => `${outputPath.slice(0, -path.extname(outputPath).length)}.${format}`;
+
+// Edit the metadata of a copy of the book in place; a second upload replaces the cover
+async function editMetadata({ inputs: [book, cover], outputPath, options, signal }) {
+  const output = withFormat(outputPath, book.format);
+  await fsPromises.copyFile(book.path, output);
+  try {
+    const args = metadataArgs(options, { seriesIndexFlag: '--index' });
+    if (cover) args.push('--cover', cover.path);
+    await runTool('ebook-meta', [output, ...args], { signal });
+  } catch (err) {
+    await fsPromises.rm(output, { force: true });
+    if (signal && signal.aborted) throw err;
+    throw new Error(`Editing ebook metadata failed: ${err.message}`);
+  }
+  console.log(`Ebook metadata updated: ${output}`);
+  return [output];
+}
+
+module.exports = [
+  {
+    name: 'ebook-metadata',
+    description: 'Set the title, authors, series and other metadata of an ebook; a second upload (JPEG or PNG) replaces its cover',
+    inputs: [...ebookFormats, ...coverImages],
+    minFiles: 1,
+    maxFiles: 2,
+    output: 'epub',
+    options: metadataOptions,
+    validate: ({ formats, options }) => {
+      if (!ebookFormats.includes(formats[0])) throw invalidOptions(`the first upload must be an ebook (${ebookFormats.join(', ')}).`);
+      if (formats[1] && !coverImages.includes(formats[1])) throw invalidOptions(`the cover must be one of ${coverImages.join(', ')}.`);
+      if (!formats[1] && Object.keys(options).length === 0) throw invalidOptions('give some metadata to set or a cover image.');
+    },
+    run: editMetadata,
+  },
+];
@@ -0,0 +1,85 @@
+// Operation registry. Operations work on the uploads of a request as a whole (merging,
+// splitting, watermarking ...) instead of converting each file on its own. Each operation
+// declares the formats it accepts (`inputs`, where '*' is any accepted upload), how many files
+// it takes (`minFiles`, `maxFiles`), the format it produces (`output`) and its options (see
+// lib/options.js), plus an optional `validate({ formats, options })` hook for checks that
+// depend on the uploads.
+// `run(context)` receives { inputs: [{ path, format, name }], outputPath, options, onProgress,
+// signal } and, like a converter, writes `outputPath` or resolves with the paths it wrote.
+
+const { validateOptions } = require('../lib/options');
+
+const operations = [];
+
+function registerOperation(operation) {
+  const missing = ['name', 'inputs', 'output', 'run'].filter(key => !operation[key]);
+  if (missing.length) {
+    throw new Error(`Operation ${operation.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+  if (operations.some(existing => existing.name === operation.name)) {
+    throw new Error(`Operation already registered: ${operation.name}`);
+  }
+  operations.push({ options: {}, minFiles: 1, maxFiles: 1, ...operation });
+}
+
+function findOperation(name) {
+  return operations.find(operation => operation.name === name) || null;
+}
+
+// Every concrete format some operation accepts
+function operationInputs() {
+  return [...new Set(operations.flatMap(operation => operation.inputs))].filter(input => input !== '*').sort();
+}
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// Check the uploaded formats and options against an operation. Returns the normalized
+// options; throws a 400 error naming the problem.
+function validateOperation(operation, { formats, options }) {
+  const { name, minFiles, maxFiles, inputs } = operation;
+  if (formats.length < minFiles || formats.length > maxFiles) {
+    const expected = minFiles === maxFiles ? `${minFiles}` : `${minFiles} to ${maxFiles}`;
+    throw badRequest(`${name} takes ${expected} file${maxFiles === 1 ? '' : 's'}, got ${formats.length}.`);
+  }
+  const unsupported = inputs.includes('*') ? null : formats.find(format => !inputs.includes(format));
+  if (unsupported) {
+    throw badRequest(`${name} does not accept ${unsupported} files. Supported formats: ${inputs.join(', ')}`);
+  }
+  const normalized = validateOptions(operation.options, options);
+  if (operation.validate) {
+    operation.validate({ formats, options: normalized });
+  }
+  return normalized;
+}
+
+// Served by GET /api/operations
+function listOperations() {
+  return operations.map(({ name, description, inputs, minFiles, maxFiles, output, options }) => ({
+    name,
+    description,
+    inputs,
+    minFiles,
+    maxFiles,
+    output,
+    options,
+  }));
+}
+
+[
+  ...require('./pdf'),
+  ...require('./archive'),
+  ...require('./audio'),
+  ...require('./ebook'),
+].forEach(registerOperation);
+
+module.exports = {
+  registerOperation,
+  findOperation,
+  operationInputs,
+  validateOperation,
+  listOperations,
+};
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const sharp = require('sharp');
+const PDFKit = require('pdfkit');
+const { PDFDocument, StandardFonts, StandardFontEmbedder, degrees, rgb } = require('pdf-lib');
+const { runWithSignal, runTool } = require('../lib/process');
+const { invalidOptions } = require('../lib/options');
+const { pagesPattern, parsePageRanges, pageIndexes } = require('../lib/pages');
+const { writeZip } = require('../lib/zip');
+
+const watermarkImages = ['png', 'jpg', 'jpeg'];
+const pageImages = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff'];
+const colorPattern = '^#([0-9a-f]{3}|[0-9a-f]{6})$';
+const watermarkFont = StandardFonts.HelveticaBold;
+
+const unreadablePdf = (input, err) => {
+  const error = new Error(`${input.name} could not be read as a PDF: ${err.message}`);
+  error.status = 400;
+  return error;
+};
+
+async function loadPdf(input) {
+  try {
+    return await PDFDocument.load(await fsPromises.readFile(input.path));
+  } catch (err) {
+    throw unreadablePdf(input, err);
+  }
+}
+
+async function savePdf(doc, outputPath, signal) {
+  await runWithSignal(signal, async () => fsPromises.writeFile(outputPath, await doc.save()));
+}
+
+const hexColor = (hex) => {
+  const digits = hex.length === 4 ? hex.slice(1).split('').map(d => d + d).join('') : hex.slice(1);
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16) / 255);
+  return rgb(r, g, b);
+};
+
+// Pages an option selects, as 0-based indexes; every page when the option is unset
+const selectedPages = (doc, spec) => (spec
+  ? [...new Set(pageIndexes(parsePageRanges(spec), doc.getPageCount()).flat())]
+  : doc.getPageIndices());
+
+async function mergePdfs({ inputs, outputPath, onProgress, signal }) {
+  const merged = await PDFDocument.create();
+  for (const [i, input] of inputs.entries()) {
+    const source = await loadPdf(input);
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+    if (onProgress) onProgress((100 * (i + 1)) / inputs.length);
+  }
+  await savePdf(merged, outputPath, signal);
+  console.log(`Merged ${inputs.length} PDFs: ${outputPath}`);
+}
+
+// One PDF per range, named `<output name>-<first>[-<last>].pdf`
+async function splitPdf({ inputs, outputPath, options, onProgress, signal }) {
+  const source = await loadPdf(inputs[0]);
+  const pageCount = source.getPageCount();
+  const ranges = options.ranges
+    ? parsePageRanges(options.ranges, 'ranges')
+    : source.getPageIndices().map(index => [index + 1, index + 1]);
+  const groups = pageIndexes(ranges, pageCount, 'ranges');
+  const outputBase = path.join(path.dirname(outputPath), path.basename(outputPath, '.pdf'));
+  const outputs = [];
+  try {
+    for (const [i, indexes] of groups.entries()) {
+      const part = await PDFDocument.create();
+      (await part.copyPages(source, indexes)).forEach(page => part.addPage(page));
+      const first = indexes[0] + 1;
+      const last = indexes[indexes.length - 1] + 1;
+      const partPath = `${outputBase}-${first === last ? first : `${first}-${last}`}.pdf`;
+      outputs.push(partPath);
+      await savePdf(part, partPath, signal);
+      if (onProgress) onProgress((100 * (i + 1)) / groups.length);
+    }
+    if (!options.zip) {
+      console.log(`Split ${inputs[0].name} into ${outputs.length} PDFs`);
+      return outputs;
+    }
+    const zipPath = `${outputBase}.zip`;
+    await writeZip(outputs.map(file => ({ path: file, name: path.basename(file) })), zipPath, signal);
+    await Promise.all(outputs.map(file => fsPromises.unlink(file).catch(() => {})));
+    console.log(`Split ${inputs[0].name} into ${outputs.length} PDFs: ${zipPath}`);
+    return [zipPath];
+  } catch (err) {
+    await Promise.all([...outputs, `${outputBase}.zip`].map(file => fsPromises.unlink(file).catch(() => {})));
+    throw err;
+  }
+}
+
+// Re-distill with Ghostscript's pdfwrite using one of its PDFSETTINGS presets
+async function compressPdf({ inputs, outputPath, options, signal }) {
+  await runTool('gs', [
+    '-dSAFER', '-dBATCH', '-dNOPAUSE', '-dQUIET',
+    '-sDEVICE=pdfwrite',
+    '-dCompatibilityLevel=1.5',
+    `-dPDFSETTINGS=/${options.preset}`,
+    `-sOutputFile=${outputPath}`,
+    inputs[0].path,
+  ], { signal });
+  const [before, after] = await Promise.all([inputs[0].path, outputPath].map(file => fsPromises.stat(file)));
+  console.log(`Compressed ${inputs[0].name} (${options.preset}): ${before.size} → ${after.size} bytes`);
+}
+
+async function rotatePdf({ inputs, outputPath, options, signal }) {
+  const doc = await loadPdf(inputs[0]);
+  const pages = doc.getPages();
+  selectedPages(doc, options.pages).forEach(index => {
+    const page = pages[index];
+    page.setRotation(degrees((page.getRotation().angle + options.angle) % 360));
+  });
+  await savePdf(doc, outputPath, signal);
+  console.log(`Rotated ${inputs[0].name} by ${options.angle}°: ${outputPath}`);
+}
+
+// Text or image stamped across the centre of each selected page. The image is the optional
+// second upload.
+async function watermarkPdf({ inputs, outputPath, options, signal }) {
+  const doc = await loadPdf(inputs[0]);
+  const { text, fontSize, color, opacity, angle, scale } = options;
+  const rotate = degrees(angle);
+  const radians = (angle * Math.PI) / 180;
+  let stamp;
+  if (inputs[1]) {
+    const bytes = await fsPromises.readFile(inputs[1].path);
+    stamp = inputs[1].format === 'png' ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  }
+  const font = text && await doc.embedFont(watermarkFont);
+  const pages = doc.getPages();
+
+  selectedPages(doc, options.pages).forEach(index => {
+    const page = pages[index];
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    // Content is drawn around its bottom-left corner, so offset it by half its rotated size
+    const centre = (width, height) => ({
+      x: pageWidth / 2 - (width / 2) * Math.cos(radians) + (height / 2) * Math.sin(radians),
+      y: pageHeight / 2 - (width / 2) * Math.sin(radians) - (height / 2) * Math.cos(radians),
+    });
+    if (stamp) {
+      const { width, height } = stamp.scale((pageWidth * scale) / stamp.width);
+      page.drawImage(stamp, { ...centre(width, height), width, height, opacity, rotate });
+    }
+    if (text) {
+      const width = font.widthOfTextAtSize(text, fontSize);
+      const height = font.heightAtSize(fontSize, { descender: false });
+      page.drawText(text, { ...centre(width, height), size: fontSize, font, color: hexColor(color), opacity, rotate });
+    }
+  });
+  await savePdf(doc, outputPath, signal);
+  console.log(`Watermarked ${inputs[0].name}: ${outputPath}`);
+}
+
+// PDF page sizes in points, portrait
+const pageSizes = {
+  A3: [842, 1191],
+  A4: [595, 842],
+  A5: [420, 595],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+};
+
+// One image per page, in upload order. pdfkit embeds JPEG as-is and everything else as PNG.
+async function imagesToPdf({ inputs, outputPath, options, onProgress, signal }) {
+  const { pageSize, orientation, margin } = options;
+  await runWithSignal(signal, (onAbort) => new Promise((resolve, reject) => {
+    const doc = new PDFKit({ autoFirstPage: false });
+    const stream = fs.createWriteStream(outputPath);
+    onAbort(() => stream.destroy());
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    doc.pipe(stream);
+
+    (async () => {
+      for (const [i, input] of inputs.entries()) {
+        const image = sharp(input.path).autoOrient();
+        const { data, info } = await (input.format === 'jpg' || input.format === 'jpeg'
+          ? image.jpeg({ quality: 90 })
+          : image.png()
+        ).toBuffer({ resolveWithObject: true });
+        let size = pageSize === 'fit'
+          ? [info.width + 2 * margin, info.height + 2 * margin]
+          : pageSizes[pageSize];
+        const landscape = orientation === 'landscape' || (orientation === 'auto' && info.width > info.height);
+        if (pageSize !== 'fit' && landscape) size = [size[1], size[0]];
+        doc.addPage({ size, margin });
+        doc.image(data, margin, margin, {
+          fit: [size[0] - 2 * margin, size[1] - 2 * margin],
+          align: 'center',
+          valign: 'center',
+        });
+        if (onProgress) onProgress((100 * (i + 1)) / inputs.length);
+      }
+      doc.end();
+    })().catch(err => {
+      stream.destroy();
+      reject(err);
+    });
+  }));
+  console.log(`Combined ${inputs.length} images into ${outputPath}`);
+}
+
+module.exports = [
+  {
+    name: 'merge',
+    description: 'Concatenate PDFs in upload order',
+    inputs: ['pdf'],
+    minFiles: 2,
+    maxFiles: 5,
+    output: 'pdf',
+    run: mergePdfs,
+  },
+  {
+    name: 'split',
+    description: 'Split a PDF into one file per page range',
+    inputs: ['pdf'],
+    output: 'pdf',
+    options: {
+      ranges: { type: 'string', pattern: pagesPattern, description: 'One output per range, e.g. "1-3,4,5-" (default one per page)' },
+      zip: { type: 'boolean', default: false, description: 'Return one ZIP of all parts' },
+    },
+    validate: ({ options }) => options.ranges && parsePageRanges(options.ranges, 'ranges'),
+    run: splitPdf,
+  },
+  {
+    name: 'compress',
+    description: 'Shrink a PDF with a Ghostscript quality preset',
+    inputs: ['pdf'],
+    output: 'pdf',
+    options: {
+      preset: {
+        type: 'string',
+        enum: ['screen', 'ebook', 'printer', 'prepress'],
+        default: 'ebook',
+        description: 'screen: 72 dpi images, ebook: 150 dpi, printer and prepress: 300 dpi',
+      },
+    },
+    run: compressPdf,
+  },
+  {
+    name: 'rotate',
+    description: 'Rotate pages clockwise',
+    inputs: ['pdf'],
+    output: 'pdf',
+    options: {
+      angle: { type: 'integer', default: 90, description: '90, 180 or 270' },
+      pages: { type: 'string', pattern: pagesPattern, description: 'Pages to rotate, e.g. "1,3-5" (default all)' },
+    },
+    validate: ({ options }) => {
+      if (![90, 180, 270].includes(options.angle)) {
+        throw invalidOptions(`angle must be 90, 180 or 270, got ${options.angle}.`);
+      }
+      if (options.pages) parsePageRanges(options.pages);
+    },
+    run: rotatePdf,
+  },
+  {
+    name: 'watermark',
+    description: 'Stamp text, or an image uploaded as the second file, across PDF pages',
+    inputs: ['pdf', ...watermarkImages],
+    maxFiles: 2,
+    output: 'pdf',
+    options: {
+      text: { type: 'string' },
+      fontSize: { type: 'integer', min: 4, max: 400, default: 48 },
+      color: { type: 'string', pattern: colorPattern, default: '#808080' },
+      opacity: { type: 'number', min: 0, max: 1, default: 0.3 },
+      angle: { type: 'integer', min: -360, max: 360, default: 45, description: 'Degrees counter-clockwise' },
+      scale: { type: 'number', min: 0.01, max: 1, default: 0.5, description: 'Image width as a fraction of the page width' },
+      pages: { type: 'string', pattern: pagesPattern, description: 'Pages to stamp (default all)' },
+    },
+    validate: ({ formats, options }) => {
+      if (formats[0] !== 'pdf' || (formats[1] && !watermarkImages.includes(formats[1]))) {
+        throw invalidOptions(`watermark takes a PDF, optionally followed by a ${watermarkImages.join('/')} image.`);
+      }
+      if (!options.text && !formats[1]) {
+        throw invalidOptions('watermark needs text, an image upload or both.');
+      }
+      // The standard fonts only cover WinAnsi (Latin-1 and a few symbols)
+      if (options.text) {
+        try {
+          StandardFontEmbedder.for(watermarkFont).encodeText(options.text);
+        } catch (err) {
+          throw invalidOptions(`watermark text is limited to Western European (WinAnsi) characters: ${err.message}.`);
+        }
+      }
+      if (options.pages) parsePageRanges(options.pages);
+    },
+    run: watermarkPdf,
+  },
+  {
+    name: 'images-to-pdf',
+    description: 'Combine images into one PDF, one page per image in upload order',
+    inputs: pageImages,
+    maxFiles: 5,
+    output: 'pdf',
+    options: {
+      pageSize: { type: 'string', enum: [...Object.keys(pageSizes), 'fit'], default: 'A4', description: 'fit sizes each page to its image' },
+      orientation: { type: 'string', enum: ['auto', 'portrait', 'landscape'], default: 'auto', description: 'auto follows each image' },
+      margin: { type: 'integer', min: 0, max: 288, default: 36, description: 'Points (1/72 inch)' },
+    },
+    run: imagesToPdf,
+  },
+];
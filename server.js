@@ -1,3 +1,7 @@
+// JSON logs from every module, so this comes before anything logs
+const { captureConsole, traceRequests } = require('./lib/log');
+captureConsole();
+
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config({ debug: true });
 }
@@ -5,19 +9,35 @@ if (process.env.NODE_ENV !== 'production') {
 const express = require('express');
 const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
-const sharp = require('sharp');
+const crypto = require('crypto');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const cors = require('cors');
-const { optimize } = require('svgo');
-const sevenZip = require('node-7z');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
 const tmp = require('tmp');
-const { fromPath } = require('pdf2pic');
-const PDFDocument = require('pdfkit');
+const { createJob, getJob, cancelJob, isFinished, serializeJob } = require('./lib/jobs');
+const { createDeadline, withCpuMeter, runTool } = require('./lib/process');
+const { checkTools } = require('./lib/tools');
+const { uploadsDir, resumableDir, convertedDir, tempDir, officeRuntimeDir } = require('./lib/config');
+const { identifyFile } = require('./lib/sniff');
+const { inspectFile } = require('./lib/inspect');
+const { createBatch, getBatch, deleteBatch, batchLinks } = require('./lib/batches');
+const { zipArchive } = require('./lib/zip');
+const { uniqueNames } = require('./lib/archive');
+const { storageUsage, ensureCapacity, startSweeper } = require('./lib/storage');
+const { linkTtl, newOutputId, registerOutput, outputInfo, signLink, verifyLink, contentDisposition, convertedPath, sendOutput, cleanupFiles } = require('./lib/outputs');
+const { sessionOwner } = require('./lib/session');
+const { identifyClient, limitClient, keepClientSlot, clientStatus } = require('./lib/clients');
+const { recordUsage, usageReport } = require('./lib/usage');
+const { maxUploadSize, uploadLimit, uploadLimits, fileTooLarge } = require('./lib/limits');
+const { tusVersion, tusExtensions, checksumAlgorithms, parseMetadata, parseChecksum, getUpload, createUpload, writeChunk, removeUpload, claimUpload, releaseUpload } = require('./lib/resumable');
+const { findConverter, validateConversionOptions, acceptedInputs, inputTypes, knownTypes, formatMatrix } = require('./converters');
+const { findOperation, operationInputs, validateOperation, listOperations } = require('./operations');
+const { coverImages } = require('./lib/calibre');
+const { planRecipe, runRecipe, findPreset, listPresets, savePreset, deletePreset } = require('./lib/recipes');
+const { observeConversion, countRequests, renderMetrics } = require('./lib/metrics');
 
 // Log FFmpeg availability
 try {
@@ -34,6 +54,9 @@ try {
 
 const app = express();
 const port = process.env.PORT || 5001;
+// Anonymous clients are limited by IP; behind a proxy (Render) TRUST_PROXY hops are trusted to
+// report the real one in X-Forwarded-For
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 0);
 
 // Log environment variables
 console.log('Environment variables:', {
@@ -45,6 +68,25 @@ console.log('Environment variables:', {
   XDG_RUNTIME_DIR: process.env.XDG_RUNTIME_DIR
 });
 
+// Request ids and metrics cover every request, preflights and refusals included
+app.use(traceRequests);
+app.use(countRequests);
+
+// Every resumable upload response carries the tus version; OPTIONS requests (CORS preflights
+// and tus discovery alike) are answered by the CORS middleware with the server's capabilities
+app.use('/api/uploads', (req, res, next) => {
+  res.setHeader('Tus-Resumable', tusVersion);
+  if (req.method === 'OPTIONS') {
+    res.set({
+      'Tus-Version': tusVersion,
+      'Tus-Extension': tusExtensions,
+      'Tus-Max-Size': String(maxUploadSize),
+      'Tus-Checksum-Algorithm': checksumAlgorithms.join(','),
+    });
+  }
+  next();
+});
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: (origin, callback) => {
@@ -61,29 +103,31 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Request-Id',
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Checksum', 'Upload-Defer-Length',
+  ],
+  exposedHeaders: ['X-Request-Id', 'Location', 'Retry-After', 'Tus-Resumable', 'Tus-Version', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Metadata'],
   credentials: true,
   optionsSuccessStatus: 204,
 }));
 
 app.options('*', cors());
 
-// Use /app for Render's filesystem
-const uploadsDir = path.join('/app', 'Uploads');
-const convertedDir = path.join('/app', 'converted');
-const tempDir = path.join('/app', 'tmp');
+app.use(sessionOwner);
+app.use(identifyClient);
 
 // Verify directory permissions at startup
 (async () => {
   try {
     // Ensure directories exist and are accessible
-    const dirs = [uploadsDir, convertedDir, tempDir, '/app/tmp/officeuser-runtime'];
+    const dirs = [uploadsDir, resumableDir, convertedDir, tempDir, officeRuntimeDir];
     for (const dir of dirs) {
       await fsPromises.mkdir(dir, { recursive: true });
       try {
         // Attempt to set permissions, but don't fail if it errors
-        await execPromise(`chmod -R 775 ${dir}`);
+        await runTool('chmod', ['-R', '775', dir]);
         console.log(`Set permissions for: ${dir}`);
       } catch (permErr) {
         console.warn(`Failed to set permissions for ${dir}: ${permErr.message}. Continuing with verification.`);
@@ -102,47 +146,133 @@ const tempDir = path.join('/app', 'tmp');
   }
 })();
 
+// Every format an upload may have, as an extension
+const uploadFormats = () => [...new Set([...acceptedInputs(), ...operationInputs()])].sort();
+
+// Files without an extension are identified from their content once uploaded
+const unsupportedType = (name) => {
+  const ext = path.extname(name).toLowerCase();
+  if (!ext || uploadFormats().includes(ext.slice(1))) return null;
+  const err = new Error(`Unsupported file type: ${ext}. Supported types: ${uploadFormats().join(', ')}`);
+  err.status = 415;
+  return err;
+};
+
+// Multer storage that writes like `dest` (a random name in uploadsDir) and charges each chunk
+// to the client's daily uploads when the request came without a length (see limitClient).
+// Going past the budget fails the file, and multer the request, with the 429.
+const countedStorage = {
+  _handleFile: (req, file, cb) => {
+    const filename = crypto.randomBytes(16).toString('hex');
+    const filePath = path.join(uploadsDir, filename);
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(req.countUploadBytes ? req.countUploadBytes(chunk.length) : null, chunk);
+      },
+    });
+    pipeline(file.stream, counter, fs.createWriteStream(filePath))
+      .then(() => cb(null, { destination: uploadsDir, filename, path: filePath, size }))
+      .catch(async (err) => {
+        await fsPromises.rm(filePath, { force: true });
+        cb(err);
+      });
+  },
+  _removeFile: (req, file, cb) => fsPromises.rm(file.path, { force: true }).then(() => cb(null), cb),
+};
+
+// Multer stops at the largest per-type limit; the limit of the file's own type is checked
+// once it is identified
 const upload = multer({
-  dest: uploadsDir,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  storage: countedStorage,
+  limits: { fileSize: maxUploadSize },
   fileFilter: (req, file, cb) => {
-    const allFormats = [
-      'bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg',
-      'pdf', 'txt', 'rtf', 'odt',
-      'mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'm4v', 'mmf', '3g2',
-      'mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv',
-      'zip', '7z',
-      'epub', 'mobi', 'azw3',
-    ];
-    const allowedExtensions = allFormats.map(ext => `.${ext}`);
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (allowedExtensions.includes(ext)) {
-      console.log(`File accepted: ${file.originalname} (${ext}, ${file.size} bytes)`);
+    // Browsers send file names as UTF-8 but busboy decodes them as latin1
+    const utf8Name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+    if (!utf8Name.includes('\uFFFD')) file.originalname = utf8Name;
+    const err = unsupportedType(file.originalname);
+    if (!err) {
+      console.log(`File accepted: ${file.originalname} (${path.extname(file.originalname)}, ${file.size} bytes)`);
       cb(null, true);
     } else {
-      console.error(`Unsupported file type: ${ext} for ${file.originalname}`);
-      cb(new Error(`Unsupported file type: ${ext}. Supported types: ${allFormats.join(', ')}`), false);
+      console.error(`Unsupported file type for ${file.originalname}`);
+      cb(err, false);
     }
   },
 });
 
-// Debug middleware to log all requests
-app.use((req, res, next) => {
-  console.log(`Route requested: ${req.method} ${req.originalUrl}`, {
-    params: req.params,
-    query: req.query,
-    body: req.body
-  });
-  next();
-});
+// Finished resumable uploads named in the `uploads` form field (a JSON array of ids) join the
+// request's files after the multipart ones, in order, so `formats` covers both
+const attachUploads = async (req, res, next) => {
+  try {
+    let ids;
+    try {
+      ids = JSON.parse(req.body.uploads || '[]');
+    } catch {
+      ids = null;
+    }
+    if (!Array.isArray(ids)) {
+      throw badRequest('Invalid uploads data. Please provide a JSON array of upload ids.');
+    }
+    req.files = req.files || [];
+    for (const id of ids) {
+      req.files.push(await claimUpload(id, req.owner));
+    }
+    next();
+  } catch (err) {
+    console.warn(`Rejected ${req.method} ${req.originalUrl}: ${err.message}`);
+    await discardUploads(req);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+// 413 error when an identified upload is over the limit of the types handling it
+const checkUploadSize = (file, types) => {
+  const limit = uploadLimit(types);
+  if (file.size > limit) throw fileTooLarge(file.originalname, file.size, limit);
+};
+
+// Refuse new work before the upload is written when the storage budget is spent, after
+// evicting the oldest converted files. The request size (or a resumable upload's announced
+// length) stands in for the upload size.
+const requireStorage = async (req, res, next) => {
+  try {
+    await ensureCapacity(parseInt(req.get('upload-length') || req.get('content-length'), 10) || 0);
+    next();
+  } catch (err) {
+    console.warn(`Rejected ${req.method} ${req.originalUrl}: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
 
 // Register routes with logging
 const routes = [
   { method: 'get', path: '/health' },
   { method: 'get', path: '/status' },
+  { method: 'get', path: '/metrics' },
+  { method: 'get', path: '/api/formats' },
+  { method: 'get', path: '/api/operations' },
+  { method: 'get', path: '/api/presets' },
+  { method: 'put', path: '/api/presets/:name' },
+  { method: 'delete', path: '/api/presets/:name' },
   { method: 'post', path: '/api/convert' },
-  { method: 'get', path: '/converted/:filename' },
+  { method: 'post', path: '/api/operations/:name' },
+  { method: 'post', path: '/api/inspect' },
+  { method: 'post', path: '/api/jobs' },
+  { method: 'get', path: '/api/jobs/:id' },
+  { method: 'get', path: '/api/jobs/:id/events' },
+  { method: 'post', path: '/api/jobs/:id/cancel' },
+  { method: 'get', path: '/api/bundle/:id' },
+  { method: 'delete', path: '/api/bundle/:id' },
+  { method: 'get', path: '/converted/:token/:filename' },
+  { method: 'get', path: '/converted/:token/:dir/:filename' },
   { method: 'delete', path: '/api/delete/:filename' },
+  { method: 'get', path: '/api/usage' },
+  { method: 'post', path: '/api/uploads' },
+  { method: 'head', path: '/api/uploads/:id' },
+  { method: 'patch', path: '/api/uploads/:id' },
+  { method: 'delete', path: '/api/uploads/:id' },
 ];
 
 routes.forEach(({ method, path }) => {
@@ -154,208 +284,711 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK' });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
 app.get('/status', async (req, res) => {
   console.log('Status check requested from:', req.get('origin'));
-  const checks = [
-    {
-      name: 'FFmpeg',
-      check: () => new Promise((resolve) => {
-        exec('ffmpeg -version', (err, stdout, stderr) => {
-          if (err) {
-            console.error('FFmpeg check failed:', err.message, stderr);
-            return resolve({ name: 'FFmpeg', status: 'Failed', details: err.message });
-          }
-          console.log('FFmpeg version:', stdout.split('\n')[0]);
-          resolve({ name: 'FFmpeg', status: 'OK', details: stdout.split('\n')[0] });
-        });
-      }),
-    },
-    {
-      name: 'Ghostscript',
-      check: () => new Promise((resolve) => {
-        exec('gs --version', (err, stdout, stderr) => {
-          if (err) {
-            console.error('Ghostscript check failed:', err.message, stderr);
-            return resolve({ name: 'Ghostscript', status: 'Failed', details: err.message });
-          }
-          console.log('Ghostscript version:', stdout.split('\n')[0]);
-          resolve({ name: 'Ghostscript', status: 'OK', details: stdout.split('\n')[0] });
-        });
-      }),
-    },
-    {
-      name: 'Calibre',
-      check: () => new Promise((resolve) => {
-        exec('ebook-convert --version', (err, stdout, stderr) => {
-          if (err) {
-            console.error('Calibre check failed:', err.message, stderr);
-            return resolve({ name: 'Calibre', status: 'Failed', details: err.message });
-          }
-          console.log('Calibre version:', stdout.split('\n')[0]);
-          resolve({ name: 'Calibre', status: 'OK', details: stdout.split('\n')[0] });
-        });
-      }),
-    },
-  ];
+  // Tool checks never reject; an unreadable storage directory is reported like a failed tool
+  const [results, storage] = await Promise.all([
+    checkTools(),
+    storageUsage().catch(err => {
+      console.error('Storage usage check failed:', err.message);
+      return { status: 'Failed', details: err.message };
+    }),
+  ]);
+  res.status(200).json({ status: 'OK', dependencies: results, storage });
+});
 
-  Promise.all(checks.map(c => c.check())).then(results => {
-    res.status(200).json({ status: 'OK', dependencies: results });
-  });
+// Parse and validate the files/formats pair shared by /api/convert and /api/jobs.
+// Returns { files, formats } or { error } with a message suitable for a 400 response.
+const parseConversionRequest = (req) => {
+  const files = req.files;
+  let formats;
+  try {
+    formats = JSON.parse(req.body.formats || '[]');
+  } catch (parseError) {
+    console.error('Error parsing formats:', parseError);
+    return { error: 'Invalid formats data. Please provide valid JSON.' };
+  }
+  if (!files || files.length === 0) {
+    console.error('No files uploaded');
+    return { error: 'No files uploaded.' };
+  }
+  if (files.length > 5) {
+    console.error('Too many files uploaded');
+    return { error: 'Maximum 5 files allowed.' };
+  }
+  if (files.length !== formats.length) {
+    console.error(`Mismatch between files (${files.length}) and formats (${formats.length})`);
+    return { error: `Mismatch between files and formats. Files: ${files.length}, Formats: ${formats.length}` };
+  }
+  return { files, formats };
+};
+
+// Error for requests the converters cannot satisfy, answered with a 400
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// JSON body for a failed request; content-type mismatches also name what was detected
+const errorBody = (error, fallback) => ({
+  error: error.message || fallback,
+  ...(error.detected !== undefined && { detected: error.detected }),
 });
 
-const allFormats = [
-  'bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg',
-  'pdf', 'txt', 'rtf', 'odt',
-  'mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'm4v', 'mmf', '3g2',
-  'mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv',
-  'zip', '7z',
-  'epub', 'mobi', 'azw3',
-];
+// Upload paths of a request, read at cleanup time because identifyUpload renames them
+const uploadedPaths = (req) => (req.files || []).map(f => f.path).filter(file => file.startsWith(uploadsDir));
 
-const supportedFormats = {
-  image: allFormats,
-  compressor: ['jpg', 'png', 'svg'],
-  pdfs: ['jpg', 'png', 'gif'],
-  audio: allFormats,
-  video: allFormats,
-  archive: allFormats,
-  ebook: allFormats,
+// Remove a request's uploads when it is done with them. Until a route sets `req.uploadsUsed`
+// (its conversion started) the uploads count as unused, and the resumable ones it claimed go
+// back to the store so the client can correct the request and send the same ids.
+const discardUploads = async (req) => {
+  const claimed = req.uploadsUsed ? [] : (req.files || []).filter(file => file.resumable);
+  const released = new Set();
+  for (const file of claimed) {
+    if (await releaseUpload(file)) released.add(file.path);
+  }
+  await cleanupFiles(uploadedPaths(req).filter(file => !released.has(file)));
 };
 
-// Sanitize filename to prevent invalid characters
-const sanitizeFilename = (filename) => {
-  return filename
-    .replace(/[^a-zA-Z0-9-_.]/g, '') // Remove invalid characters
-    .replace(/\s+/g, '_') // Replace spaces with underscores
-    .slice(0, 100); // Limit filename length
+// Identify an upload from its leading bytes and give the stored file a matching extension,
+// since multer saves uploads without one and several tools pick their decoder by extension
+const identifyUpload = async (file) => {
+  const { format, detected } = await identifyFile(file.path, file.originalname);
+  console.log(`Identified ${file.originalname} as ${format}${detected ? ` (${detected.description})` : ' (by extension)'}`);
+  const identifiedPath = `${file.path}.${format}`;
+  await fsPromises.rename(file.path, identifiedPath);
+  file.path = identifiedPath;
+  file.format = format;
+  file.detected = detected;
 };
 
-app.post('/api/convert', upload.array('files', 5), async (req, res) => {
-  console.log('Received /api/convert request from:', req.get('origin'), {
+// Validate a single file/format pair and pick the converter from the registry
+const planConversion = (file, formatInfo) => {
+  if (formatInfo.preset !== undefined || formatInfo.steps !== undefined) {
+    return planRecipeConversion(file, formatInfo);
+  }
+  const inputExt = file.format;
+  const outputExt = String(formatInfo.target || '').toLowerCase().split(' ')[0];
+  // The compressor is a sub-section of the image tab in the frontend
+  const type = formatInfo.subSection === 'compressor' ? 'compressor' : formatInfo.type;
+  if (type && !knownTypes().includes(type)) {
+    throw badRequest(`Unsupported conversion type: ${type}. Supported types: ${knownTypes().join(', ')}`);
+  }
+  if (!acceptedInputs().includes(inputExt)) {
+    throw badRequest(`Unsupported input format: ${inputExt}. Supported formats: ${acceptedInputs().join(', ')}`);
+  }
+  const converter = findConverter(inputExt, outputExt, type);
+  if (!converter) {
+    throw badRequest(`Unsupported conversion: ${inputExt} → ${outputExt || '(none)'}. See GET /api/formats for supported pairs.`);
+  }
+  checkUploadSize(file, converter.types);
+  const options = validateConversionOptions(converter, { from: inputExt, to: outputExt, options: formatInfo.options });
+  return planOutput(file, formatInfo, converter, options, outputExt);
+};
+
+// Plan of one conversion writing `<new output id>.<outputExt>` to convertedDir
+const planOutput = (file, formatInfo, converter, options, outputExt) => {
+  const outputId = newOutputId();
+  return {
+    file,
+    formatInfo,
+    converter,
+    options,
+    inputExt: file.format,
+    outputExt,
+    inputPath: file.path,
+    outputPath: path.join(convertedDir, `${outputId}.${outputExt}`),
+    prefix: outputId,
+    stem: path.basename(file.originalname, path.extname(file.originalname)),
+  };
+};
+
+// A recipe in place of a target: its `steps`, or those of the saved `preset`. It runs like a
+// converter named after the preset, so usage and logs show which one it was.
+const planRecipeConversion = (file, formatInfo) => {
+  let { steps } = formatInfo;
+  let name = 'recipe';
+  if (formatInfo.preset !== undefined) {
+    const preset = findPreset(String(formatInfo.preset));
+    if (!preset) throw badRequest(`Unknown preset: ${formatInfo.preset}. See GET /api/presets.`);
+    steps = preset.steps;
+    name = `preset:${formatInfo.preset}`;
+  }
+  const { extension, types } = planRecipe(file.format, steps);
+  checkUploadSize(file, types);
+  const converter = { name, types, convert: (context) => runRecipe(steps, context) };
+  return planOutput(file, formatInfo, converter, {}, extension);
+};
+
+// Identify every upload and plan its conversion before anything runs, so a bad entry
+// fails the whole request with a 4xx instead of leaving half of it converted. `client` is
+// the usage account the conversions are counted against.
+const planConversions = async (files, formats, link, client) => {
+  for (const file of files) {
+    await identifyUpload(file);
+  }
+  const plans = files.map((file, i) => ({ ...planConversion(file, formats[i]), link, client }));
+  await claimCovers(plans, files, link.owner);
+  return plans;
+};
+
+// The `cover` option of ebook and audio → video conversions names a finished resumable upload
+// of an image. Covers are claimed once every entry is planned and join `files`, so the
+// request's cleanup removes them with the uploads; the plan keeps the path the converter gets.
+const claimCovers = async (plans, files, owner) => {
+  for (const plan of plans.filter(({ options }) => options.cover)) {
+    const cover = await claimUpload(plan.options.cover, owner);
+    files.push(cover);
+    await identifyUpload(cover);
+    if (!coverImages.includes(cover.format)) {
+      throw badRequest(`The cover of ${plan.file.originalname} must be one of ${coverImages.join(', ')}, got ${cover.format}.`);
+    }
+    plan.cover = cover.path;
+  }
+};
+
+// Run `fn` under a CPU meter and count it in the client's usage under `converter`, whether
+// it succeeds or not
+const metered = async (client, converter, inputBytes, fn) => {
+  const meter = { cpuSeconds: 0 };
+  let failed = true;
+  try {
+    const result = await withCpuMeter(meter, fn);
+    failed = false;
+    return result;
+  } finally {
+    recordUsage(client, converter, { inputBytes, cpuSeconds: meter.cpuSeconds, failed });
+  }
+};
+
+const secondsSince = (startedAt) => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+// Owner and link settings of a request's outputs. `singleUse` and `linkExpiresIn` (seconds)
+// are optional form fields.
+const linkOptions = (req) => {
+  const link = { owner: req.owner, singleUse: req.body.singleUse === 'true' };
+  if (req.body.linkExpiresIn !== undefined) {
+    const seconds = Number(req.body.linkExpiresIn);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds * 1000 > linkTtl) {
+      throw badRequest(`linkExpiresIn must be a whole number of seconds from 1 to ${Math.floor(linkTtl / 1000)}.`);
+    }
+    link.expiresIn = seconds * 1000;
+  }
+  return link;
+};
+
+// Signed download links for files written to convertedDir, or inside a package directory
+// there. Outputs are named after the upload for download: the generated `prefix` of the
+// stored name is swapped for the upload's `stem`, so "3f2a….jpg" downloads as "photo.jpg" and
+// "3f2a…-2.png" as "doc-2.png". Package directories get one link to their entry point.
+const outputLinks = (outputPaths, { prefix, stem, owner, singleUse, expiresIn }) => outputPaths.map(outputFile => {
+  const name = path.relative(convertedDir, outputFile).split(path.sep).join('/');
+  const entry = name.split('/')[0];
+  const downloadName = `${stem}${entry.slice(prefix.length)}`;
+  const inPackage = entry !== name;
+  registerOutput(entry, { owner, downloadName });
+  const { token, expiresAt } = signLink(entry, { downloadName, expiresIn, singleUse: singleUse && !inPackage });
+  return {
+    name,
+    path: `/converted/${token}/${name.split('/').map(encodeURIComponent).join('/')}`,
+    downloadName,
+    expiresAt,
+  };
+});
+
+// Run a planned conversion under the CONVERSION_TIMEOUT deadline. `onProgress` receives
+// percentages where the converter can report them; aborting `signal` cancels the conversion.
+// A failed, timed out or cancelled conversion has its partial output removed.
+const runConversion = async (plan, { onProgress, signal } = {}) => {
+  const { file, formatInfo, converter, options, inputExt, outputExt, inputPath, outputPath } = plan;
+  console.log(`Processing file: ${file.originalname}, converter: ${converter.name}, inputExt: ${inputExt}, target: ${outputExt}`);
+  try {
+    await fsPromises.access(inputPath);
+  } catch {
+    throw new Error(`Input file not found: ${file.originalname}`);
+  }
+  const deadline = createDeadline(signal);
+  const startedAt = process.hrtime.bigint();
+  const observed = { converter: converter.name, from: inputExt, to: outputExt, inputSize: file.size };
+  let outputPaths;
+  try {
+    const produced = await metered(plan.client, converter.name, file.size, () => converter.convert({
+      inputPath,
+      outputPath,
+      from: inputExt,
+      to: outputExt,
+      name: file.originalname,
+      options,
+      cover: plan.cover,
+      onProgress,
+      signal: deadline.signal,
+    }));
+    outputPaths = Array.isArray(produced) ? produced : [outputPath];
+    await observeConversion({ ...observed, seconds: secondsSince(startedAt), outputPaths });
+  } catch (err) {
+    console.error(`Conversion of ${file.originalname} failed: ${err.message}. Removing partial output.`);
+    await observeConversion({ ...observed, seconds: secondsSince(startedAt), error: err, signal: deadline.signal });
+    await cleanupFiles([outputPath]);
+    throw err;
+  } finally {
+    deadline.clear();
+  }
+  const links = outputLinks(outputPaths, { prefix: plan.prefix, stem: plan.stem, ...plan.link });
+  // Multi-output conversions (one image per PDF page) link the first file and list them all
+  return {
+    ...links[0],
+    id: formatInfo.id,
+    ...(links.length > 1 && { outputs: links }),
+  };
+};
+
+// Every converted file or package directory behind a runConversion result
+const outputFilesOf = (output) => (output.outputs || [output]).map(link => path.join(convertedDir, link.name.split('/')[0]));
+
+// Batch entries for the links of one conversion or operation: each converted file or package
+// directory under its download name
+const batchEntries = (links) => [...new Map(links.map(link => {
+  const entry = link.name.split('/')[0];
+  return [entry, { path: path.join(convertedDir, entry), name: link.downloadName, directory: entry !== link.name }];
+})).values()];
+
+// One batch over the outputs of a request, with names made unique across uploads
+const createRequestBatch = (outputs, options) => {
+  const entries = outputs.flatMap(output => batchEntries(output.outputs || [output]));
+  const names = uniqueNames(entries.map(entry => entry.name));
+  return createBatch(entries.map((entry, i) => ({ ...entry, name: names[i] })), options);
+};
+
+// Run an operation over every upload of a request under the CONVERSION_TIMEOUT deadline,
+// counted in `client`'s usage. Resolves with the paths of the files it produced and the
+// generated prefix of their names.
+const runOperation = async (operation, files, options, { signal, client }) => {
+  const prefix = newOutputId();
+  const outputPath = path.join(convertedDir, `${prefix}.${operation.output}`);
+  console.log(`Running operation ${operation.name} on ${files.map(file => file.originalname).join(', ')}`);
+  const deadline = createDeadline(signal);
+  const startedAt = process.hrtime.bigint();
+  const inputBytes = files.reduce((sum, file) => sum + file.size, 0);
+  const observed = { converter: `operation:${operation.name}`, from: files[0].format, to: operation.output, inputSize: inputBytes };
+  try {
+    const produced = await metered(client, `operation:${operation.name}`, inputBytes, () => operation.run({
+      inputs: files.map(file => ({ path: file.path, format: file.format, name: file.originalname })),
+      outputPath,
+      options,
+      signal: deadline.signal,
+    }));
+    const outputPaths = Array.isArray(produced) ? produced : [outputPath];
+    await observeConversion({ ...observed, seconds: secondsSince(startedAt), outputPaths });
+    return { outputPaths, prefix };
+  } catch (err) {
+    console.error(`Operation ${operation.name} failed: ${err.message}. Removing partial output.`);
+    await observeConversion({ ...observed, seconds: secondsSince(startedAt), error: err, signal: deadline.signal });
+    await cleanupFiles([outputPath]);
+    throw err;
+  } finally {
+    deadline.clear();
+  }
+};
+
+// Capability matrix: which inputs convert to which outputs, through which converter and options
+app.get('/api/formats', (req, res) => {
+  res.json({ ...formatMatrix(), uploadLimits: uploadLimits() });
+});
+
+app.get('/api/operations', (req, res) => {
+  res.json({ operations: listOperations() });
+});
+
+// Saved recipes, used from /api/convert and /api/jobs with { "preset": "<name>" }
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: listPresets() });
+});
+
+// Presets are shared by every client, so only admin keys change them
+const requireAdmin = (req, res, next) => {
+  if (req.client.admin) return next();
+  if (req.client.anonymous) res.setHeader('WWW-Authenticate', 'Bearer');
+  res.status(req.client.anonymous ? 401 : 403).json({ error: 'Changing presets needs an admin API key.' });
+};
+
+app.put('/api/presets/:name', requireAdmin, express.json({ limit: '64kb' }), async (req, res) => {
+  try {
+    const preset = await savePreset(req.params.name, req.body || {});
+    res.json(preset);
+  } catch (error) {
+    console.error(`Saving preset ${req.params.name} failed:`, error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Saving the preset failed.' });
+  }
+});
+
+app.delete('/api/presets/:name', requireAdmin, async (req, res) => {
+  try {
+    if (!(await deletePreset(req.params.name))) {
+      return res.status(404).json({ error: 'Preset not found.' });
+    }
+    res.json({ message: `Preset ${req.params.name} deleted.` });
+  } catch (error) {
+    console.error(`Deleting preset ${req.params.name} failed:`, error.message);
+    res.status(500).json({ error: 'Deleting the preset failed.' });
+  }
+});
+
+// Operations take every upload of the request together, e.g. the PDFs to merge in order.
+// Options are a JSON object in the `options` form field.
+app.post('/api/operations/:name', limitClient, requireStorage, upload.array('files', 5), attachUploads, async (req, res) => {
+  console.log(`Received /api/operations/${req.params.name} request from:`, req.get('origin'), {
     files: req.files ? req.files.map(f => ({ name: f.originalname, size: f.size, path: f.path })) : [],
-    formats: req.body.formats,
+    options: req.body.options,
+  });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.warn(`Client disconnected from /api/operations/${req.params.name}, cancelling operation`);
+      controller.abort();
+    }
   });
-  let tempFiles = req.files ? req.files.map(f => f.path) : [];
   try {
-    const files = req.files;
-    let formats;
+    const operation = findOperation(req.params.name);
+    if (!operation) {
+      return res.status(404).json({ error: `Unknown operation: ${req.params.name}. See GET /api/operations.` });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    let options;
     try {
-      formats = JSON.parse(req.body.formats || '[]');
+      options = JSON.parse(req.body.options || '{}');
     } catch (parseError) {
-      console.error('Error parsing formats:', parseError);
-      return res.status(400).json({ error: 'Invalid formats data. Please provide valid JSON.' });
+      return res.status(400).json({ error: 'Invalid options data. Please provide valid JSON.' });
     }
-    if (!files || files.length === 0) {
-      console.error('No files uploaded');
-      return res.status(400).json({ error: 'No files uploaded.' });
+    for (const file of req.files) {
+      await identifyUpload(file);
+      checkUploadSize(file, inputTypes(file.format));
     }
-    if (files.length > 5) {
-      console.error('Too many files uploaded');
-      return res.status(400).json({ error: 'Maximum 5 files allowed.' });
+    const normalized = validateOperation(operation, { formats: req.files.map(file => file.format), options });
+    const link = linkOptions(req);
+    req.uploadsUsed = true;
+    const { outputPaths, prefix } = await runOperation(operation, req.files, normalized, { signal: controller.signal, client: req.client.id });
+    if (controller.signal.aborted) {
+      await cleanupFiles(outputPaths);
+      return;
     }
-    if (files.length !== formats.length) {
-      console.error(`Mismatch between files (${files.length}) and formats (${formats.length})`);
-      return res.status(400).json({
-        error: `Mismatch between files and formats. Files: ${files.length}, Formats: ${formats.length}`,
-      });
+    const first = req.files[0].originalname;
+    const files = outputLinks(outputPaths, { prefix, stem: `${path.basename(first, path.extname(first))}_${operation.name}`, ...link });
+    const batch = createRequestBatch([{ outputs: files }], { owner: req.owner });
+    res.json({ operation: operation.name, files, batch: batchLinks(batch) });
+  } catch (error) {
+    console.error('Operation error:', { message: error.message, stack: error.stack });
+    if (!controller.signal.aborted) {
+      res.status(error.status || 500).json(errorBody(error, 'Operation failed. Please check the files or the server logs.'));
     }
-    const outputFiles = [];
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
-      const formatInfo = formats[i];
-      const inputExt = path.extname(file.originalname).toLowerCase().slice(1) || 'unknown';
-      const outputExt = formatInfo.target.toLowerCase().split(' ')[0];
-      console.log(`Processing file: ${file.originalname}, type: ${formatInfo.type}, inputExt: ${inputExt}, target: ${outputExt}`);
-      if (!Object.keys(supportedFormats).includes(formatInfo.type)) {
-        throw new Error(`Unsupported conversion type: ${formatInfo.type}. Supported types: ${Object.keys(supportedFormats).join(', ')}`);
-      }
-      if (!supportedFormats[formatInfo.type].includes(outputExt)) {
-        throw new Error(`Unsupported output format: ${outputExt} for type ${formatInfo.type}. Supported formats: ${supportedFormats[formatInfo.type].join(', ')}`);
-      }
-      if (!allFormats.includes(inputExt)) {
-        throw new Error(`Unsupported input format: ${inputExt}. Supported formats: ${allFormats.join(', ')}`);
-      }
-      const inputPath = file.path;
-      const outputPath = path.join(
-        convertedDir,
-        `${sanitizeFilename(path.basename(file.originalname, path.extname(file.originalname)))}_${Date.now()}.${outputExt}`
-      );
+  } finally {
+    await discardUploads(req);
+  }
+});
+
+// Metadata of each upload without converting anything. A file that cannot be identified or
+// read gets an `error` entry instead of failing the whole request.
+app.post('/api/inspect', limitClient, requireStorage, upload.array('files', 5), attachUploads, async (req, res) => {
+  console.log('Received /api/inspect request from:', req.get('origin'), {
+    files: req.files ? req.files.map(f => ({ name: f.originalname, size: f.size, path: f.path })) : [],
+  });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const deadline = createDeadline(controller.signal);
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded.' });
+    }
+    const files = [];
+    for (const file of req.files) {
       try {
-        await fsPromises.access(inputPath);
-      } catch {
-        throw new Error(`Input file not found: ${file.originalname}`);
-      }
-      const outputType = ['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'].includes(outputExt) ? 'image' :
-        ['pdf', 'txt', 'rtf', 'odt'].includes(inputExt) && outputExt === 'pdf' ? 'pdfs' :
-        ['mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'm4v', 'mmf', '3g2'].includes(outputExt) ? 'audio' :
-        ['mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv'].includes(outputExt) ? 'video' : formatInfo.type;
-      switch (outputType) {
-        case 'image':
-        case 'compressor':
-          await convertImage(inputPath, outputPath, outputExt, formatInfo.subSection);
-          break;
-        case 'pdfs':
-          await convertPdf(inputPath, outputPath, outputExt);
-          break;
-        case 'audio':
-        case 'video':
-          await convertMedia(inputPath, outputPath, outputExt, inputExt);
-          break;
-        case 'archive':
-          await convertArchive(inputPath, outputPath, outputExt);
-          break;
-        case 'ebook':
-          await convertEbook(inputPath, outputPath, outputExt);
-          break;
-        default:
-          throw new Error(`Unsupported conversion type: ${outputType}`);
+        await identifyUpload(file);
+        checkUploadSize(file, inputTypes(file.format));
+        const result = await metered(req.client.id, 'inspect', file.size, () => inspectFile(file.path, file.format, { signal: deadline.signal }));
+        files.push({
+          name: file.originalname,
+          size: file.size,
+          format: file.format,
+          ...(file.detected && { mime: file.detected.mime, description: file.detected.description }),
+          ...result,
+        });
+      } catch (error) {
+        if (deadline.signal.aborted) throw error;
+        console.error(`Inspection of ${file.originalname} failed:`, error.message);
+        files.push({ name: file.originalname, size: file.size, ...errorBody(error, 'Inspection failed.') });
       }
-      outputFiles.push({
-        path: outputPath,
-        name: path.basename(outputPath),
-        id: formatInfo.id,
-      });
     }
-    res.json({
-      files: outputFiles.map(file => ({
-        name: file.name,
-        path: `/converted/${encodeURIComponent(file.name)}`,
-        id: file.id,
-      })),
-    });
+    res.json({ files });
+  } catch (error) {
+    console.error('Inspection error:', { message: error.message, stack: error.stack });
+    if (!controller.signal.aborted) {
+      res.status(error.status || 500).json(errorBody(error, 'Inspection failed. Please check the server logs.'));
+    }
+  } finally {
+    deadline.clear();
+    // Inspecting reads uploads without using them up: resumable ones stay for the conversion
+    await discardUploads(req);
+  }
+});
+
+app.post('/api/convert', limitClient, requireStorage, upload.array('files', 5), attachUploads, async (req, res) => {
+  console.log('Received /api/convert request from:', req.get('origin'), {
+    files: req.files ? req.files.map(f => ({ name: f.originalname, size: f.size, path: f.path })) : [],
+    formats: req.body.formats,
+  });
+  // Abort in-flight work when the client goes away before the response is sent
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.warn('Client disconnected from /api/convert, cancelling conversion');
+      controller.abort();
+    }
+  });
+  const outputFiles = [];
+  try {
+    const { files, formats, error } = parseConversionRequest(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const plans = await planConversions(files, formats, linkOptions(req), req.client.id);
+    req.uploadsUsed = true;
+    for (const plan of plans) {
+      outputFiles.push(await runConversion(plan, { signal: controller.signal }));
+    }
+    const batch = createRequestBatch(outputFiles, { owner: req.owner });
+    res.json({ files: outputFiles, batch: batchLinks(batch) });
   } catch (error) {
     console.error('Conversion error:', { message: error.message, stack: error.stack });
-    res.status(500).json({ error: error.message || 'Conversion failed. Please try a different file or check server logs.' });
+    if (controller.signal.aborted) {
+      // Nobody is left to download what was already converted
+      await cleanupFiles(outputFiles.flatMap(outputFilesOf));
+      return;
+    }
+    res.status(error.status || 500).json(errorBody(error, 'Conversion failed. Please try a different file or check server logs.'));
   } finally {
-    await cleanupFiles(tempFiles.filter(file => file.startsWith(uploadsDir)));
+    await discardUploads(req);
   }
 });
 
-app.get('/converted/:filename([a-zA-Z0-9-_.]+)', async (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(convertedDir, filename);
-  console.log(`Serving file: ${filePath} to ${req.get('origin')}`);
+app.post('/api/jobs', limitClient, requireStorage, upload.array('files', 5), attachUploads, async (req, res) => {
+  console.log('Received /api/jobs request from:', req.get('origin'), {
+    files: req.files ? req.files.map(f => ({ name: f.originalname, size: f.size, path: f.path })) : [],
+    formats: req.body.formats,
+  });
+  let plans;
   try {
-    await fsPromises.access(filePath);
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.sendFile(filePath, (err) => {
-      if (err) {
-        console.error('Error sending file:', err);
-        res.status(500).json({ error: 'Failed to send converted file.' });
-      } else {
-        console.log(`File sent successfully: ${filePath}`);
-      }
-    });
+    const { files, formats, error } = parseConversionRequest(req);
+    if (error) {
+      await discardUploads(req);
+      return res.status(400).json({ error });
+    }
+    plans = await planConversions(files, formats, linkOptions(req), req.client.id);
+  } catch (error) {
+    console.error('Job validation error:', error.message);
+    await discardUploads(req);
+    return res.status(error.status || 400).json(errorBody(error));
+  }
+  req.uploadsUsed = true;
+  // The job holds the client's slot until it finishes, not just until this response
+  const releaseSlot = keepClientSlot(req);
+  const job = createJob(
+    plans.map(plan => ({ id: plan.formatInfo.id, name: plan.file.originalname })),
+    (index, onProgress, signal) => runConversion(plans[index], { onProgress, signal }),
+    {
+      owner: req.owner,
+      onFinish: async (finishedJob) => {
+        releaseSlot();
+        const outputs = finishedJob.status === 'cancelled'
+          ? finishedJob.files.filter(file => file.output).flatMap(file => outputFilesOf(file.output))
+          : [];
+        await cleanupFiles([...uploadedPaths(req), ...outputs]);
+        // The job id doubles as the batch id of what it produced
+        if (finishedJob.status === 'done') {
+          const outputs = finishedJob.files.filter(file => file.output).map(file => file.output);
+          createRequestBatch(outputs, { id: finishedJob.id, owner: req.owner });
+        }
+      },
+    }
+  );
+  res.status(202).json({
+    id: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+    cancelUrl: `/api/jobs/${job.id}/cancel`,
+    // Available once the job is done
+    bundleUrl: `/api/bundle/${job.id}`,
+  });
+});
+
+// The job `id` if it belongs to the requester. Other clients' jobs are reported missing, like
+// unknown ids, so job ids cannot be probed.
+const ownJob = (req) => {
+  const job = getJob(req.params.id);
+  return job && job.owner === req.owner ? job : null;
+};
+
+// Cancel a queued or running job. The running converter's process tree is killed and
+// every output the job produced is removed.
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  if (isFinished(job)) {
+    return res.status(409).json({ error: `Job already ${job.status}.` });
+  }
+  cancelJob(job);
+  res.status(202).json(serializeJob(job));
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Server-Sent Events stream of job progress. Sends a snapshot first, then file and job updates,
+// and closes once the job has finished.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = ownJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', serializeJob(job));
+  if (isFinished(job)) {
+    return res.end();
+  }
+  const onFile = (file) => send('file', file);
+  const onJob = (state) => send('job', state);
+  const onEnd = () => res.end();
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  job.events.on('file', onFile);
+  job.events.on('job', onJob);
+  job.events.once('end', onEnd);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    job.events.off('file', onFile);
+    job.events.off('job', onJob);
+    job.events.off('end', onEnd);
+  });
+});
+
+// Existing entries of a batch; single files deleted in the meantime are skipped
+const batchFiles = async (batch) => {
+  const present = await Promise.all(batch.entries.map(entry => fsPromises.access(entry.path).then(() => true, () => false)));
+  return batch.entries.filter((entry, i) => present[i]);
+};
+
+// Every output of a batch as one ZIP under the uploads' names, streamed straight to the client
+app.get('/api/bundle/:id', async (req, res) => {
+  const found = getBatch(req.params.id);
+  // Bundles of other clients are reported missing, as are jobs
+  const batch = found && found.owner === req.owner ? found : null;
+  const entries = batch ? await batchFiles(batch) : [];
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'Bundle not found. It may have expired or its files were deleted.' });
+  }
+  const zipName = entries.length === 1 ? `${path.basename(entries[0].name, path.extname(entries[0].name))}.zip` : `converted-${batch.id.slice(0, 8)}.zip`;
+  console.log(`Streaming bundle ${batch.id} (${entries.length} entries) to ${req.get('origin')}`);
+  const archive = zipArchive(entries);
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+  archive.on('error', (err) => {
+    console.error(`Bundle ${batch.id} failed:`, err.message);
+    // Headers are gone once streaming started, so the client only sees a truncated download
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: 'Failed to build the bundle.' });
+    } else {
+      res.destroy(err);
+    }
+  });
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', zipName));
+  archive.pipe(res);
+  archive.finalize();
+});
+
+app.delete('/api/bundle/:id', async (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Bundle not found. It may have expired.' });
+  }
+  if (batch.owner !== req.owner) {
+    return res.status(403).json({ error: 'Only the session that created these files can delete them.' });
+  }
+  console.log(`Delete request for bundle ${batch.id} from ${req.get('origin')}`);
+  await cleanupFiles(batch.entries.map(entry => entry.path));
+  deleteBatch(batch.id);
+  res.status(200).json({ message: `Deleted ${batch.entries.length} files.` });
+});
+
+// Converted files, behind the signed token their link carries
+app.get('/converted/:token([a-zA-Z0-9-_.]+)/:filename([a-zA-Z0-9-_.]+)', async (req, res) => {
+  const { token, filename } = req.params;
+  const filePath = convertedPath(filename);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Converted file not found.' });
+  }
+  try {
+    const { downloadName } = verifyLink(token, filename);
+    console.log(`Serving file: ${filePath} to ${req.get('origin')}`);
+    await sendOutput(res, filePath, { downloadName });
+  } catch (err) {
+    console.warn(`Refused download of ${filename}: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Files of a package directory (HLS/DASH), served inline so players can fetch them directly.
+// Playlists reference their segments relatively, so the directory's token covers them all.
+app.get('/converted/:token([a-zA-Z0-9-_.]+)/:dir([a-zA-Z0-9-_.]+)/:filename([a-zA-Z0-9-_.]+)', async (req, res) => {
+  const { token, dir, filename } = req.params;
+  const filePath = convertedPath(dir, filename);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Converted file not found.' });
+  }
+  try {
+    verifyLink(token, dir);
+    await sendOutput(res, filePath, { inline: true });
   } catch (err) {
-    console.error('File not found:', filePath, err);
-    res.status(404).json({ error: 'Converted file not found.' });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// Only the session that created a file may delete it
 app.delete('/api/delete/:filename([a-zA-Z0-9-_.]+)', async (req, res) => {
   const filename = req.params.filename;
-  const filePath = path.join(convertedDir, filename);
-  console.log(`Delete request for ${filePath} from ${req.get('origin')}`);
+  const filePath = convertedPath(filename);
+  const output = outputInfo(filename);
+  console.log(`Delete request for ${filename} from ${req.get('origin')}`);
+  if (!filePath || !output) {
+    return res.status(404).json({ error: 'Converted file not found.' });
+  }
+  if (output.owner !== req.owner) {
+    return res.status(403).json({ error: 'Only the session that created this file can delete it.' });
+  }
   try {
     await cleanupFiles([filePath]);
     res.status(200).json({ message: `File ${filename} deleted successfully.` });
@@ -365,244 +998,127 @@ app.delete('/api/delete/:filename([a-zA-Z0-9-_.]+)', async (req, res) => {
   }
 });
 
-async function convertImage(inputPath, outputPath, format, subSection) {
-  const imageFormats = ['bmp', 'eps', 'gif', 'ico', 'png', 'svg', 'tga', 'tiff', 'wbmp', 'webp', 'jpg', 'jpeg'];
-  const inputExt = path.extname(inputPath).toLowerCase().slice(1);
-  const sharpSupported = ['bmp', 'gif', 'png', 'tiff', 'webp', 'jpg', 'jpeg'];
-  
-  if (!imageFormats.includes(inputExt) && ['txt', 'rtf', 'odt'].includes(inputExt)) {
-    // Convert text-based files to PDF first
-    const tempPdfPath = path.join(tempDir, `temp_${Date.now()}.pdf`);
-    try {
-      await new Promise((resolve, reject) => {
-        exec(`libreoffice --headless --convert-to pdf --outdir ${tempDir} ${inputPath}`, (err, stdout, stderr) => {
-          if (err) {
-            console.error(`Text to PDF conversion failed: ${err.message}`, stderr);
-            return reject(new Error(`Text to PDF conversion failed: ${err.message}`));
-          }
-          console.log(`Text to PDF conversion completed: ${tempPdfPath}`);
-          resolve();
-        });
-      });
-      await convertImage(tempPdfPath, outputPath, format, subSection);
-      await fsPromises.unlink(tempPdfPath).catch(err => console.error(`Error cleaning up temp PDF: ${err.message}`));
-    } catch (err) {
-      console.error(`Image conversion preprocessing failed: ${err.message}`);
-      throw err;
-    }
-    return;
-  }
-  
-  if (imageFormats.includes(format)) {
-    if (subSection === 'compressor' && format === 'svg') {
-      const svgData = await fsPromises.readFile(inputPath, 'utf-8');
-      const result = optimize(svgData, {
-        multipass: true,
-        plugins: [{ name: 'preset-default' }, { name: 'removeViewBox', active: false }],
-      });
-      if (result.error) {
-        throw new Error(`SVG compression failed: ${result.error}`);
-      }
-      await fsPromises.writeFile(outputPath, result.data);
-      console.log(`SVG compression completed: ${outputPath}`);
-    } else if (sharpSupported.includes(format)) {
-      let sharpInstance = sharp(inputPath);
-      if (subSection === 'compressor') {
-        if (format === 'jpg' || format === 'jpeg') {
-          sharpInstance = sharpInstance.jpeg({ quality: 80 });
-        } else if (format === 'png') {
-          sharpInstance = sharpInstance.png({ compressionLevel: 9 });
-        }
-      }
-      await sharpInstance
-        .toFormat(format === 'jpg' ? 'jpeg' : format)
-        .toFile(outputPath);
-      console.log(`Image conversion (Sharp) completed: ${outputPath}`);
-    } else {
-      throw new Error(`Unsupported image format for Sharp: ${format}. Please use a supported format: ${sharpSupported.join(', ')}`);
-    }
-  } else if (format === 'pdf') {
-    await new Promise((resolve, reject) => {
-      const doc = new PDFDocument();
-      const stream = fs.createWriteStream(outputPath);
-      doc.pipe(stream);
-      doc.image(inputPath, { fit: [595, 842] });
-      doc.end();
-      stream.on('finish', () => {
-        console.log(`Image to PDF conversion completed: ${outputPath}`);
-        resolve();
-      });
-      stream.on('error', (err) => {
-        console.error(`Image to PDF conversion failed: ${err.message}`);
-        reject(new Error(`Image to PDF conversion failed: ${err.message}`));
-      });
-    });
-  } else {
-    throw new Error(`Unsupported image output format: ${format}`);
+// Usage totals since the server started counting. A key sees its own; admin keys see every
+// client, anonymous ones included.
+app.get('/api/usage', (req, res) => {
+  if (req.client.anonymous) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'The usage report needs an API key.' });
   }
-}
+  res.json({
+    ...usageReport(req.client.admin ? null : req.client.id),
+    key: { id: req.client.name, ...clientStatus(req.client) },
+  });
+});
 
-async function convertPdf(inputPath, outputPath, format) {
-  const inputExt = path.extname(inputPath).toLowerCase().slice(1);
-  if (inputExt !== 'pdf') {
-    throw new Error(`Unsupported input format for PDF conversion: ${inputExt}`);
-  }
-  if (['jpg', 'png', 'gif'].includes(format)) {
-    try {
-      const output = fromPath(inputPath, {
-        density: 100,
-        format: format,
-        outputDir: path.dirname(outputPath),
-        outputName: path.basename(outputPath, `.${format}`)
-      });
-      await output.bulk(-1);
-      console.log(`PDF to ${format} conversion completed: ${outputPath}`);
-    } catch (err) {
-      console.error(`PDF to ${format} conversion failed: ${err.message}`);
-      throw new Error(`PDF to ${format} conversion failed: ${err.message}`);
+// Resumable uploads (tus 1.0.0). Requests must name the protocol version they speak.
+const requireTus = (req, res, next) => {
+  if (req.get('tus-resumable') === tusVersion) return next();
+  res.setHeader('Tus-Version', tusVersion);
+  res.status(412).json({ error: `Tus-Resumable ${tusVersion} is required.` });
+};
+
+const uploadHeaders = (upload) => ({
+  'Upload-Expires': new Date(upload.expiresAt).toUTCString(),
+  'Cache-Control': 'no-store',
+});
+
+// Create an upload. Its size is checked against the limit for the extension of the
+// `filename` metadata, since the content is not there yet to identify.
+app.post('/api/uploads', requireTus, limitClient, requireStorage, async (req, res) => {
+  try {
+    if (req.get('upload-defer-length')) {
+      throw badRequest('Upload-Defer-Length is not supported; send Upload-Length.');
+    }
+    const length = Number(req.get('upload-length'));
+    if (!req.get('upload-length') || !Number.isSafeInteger(length) || length < 0) {
+      throw badRequest('Upload-Length must be the upload size in bytes.');
     }
-  } else {
-    throw new Error(`Unsupported PDF output format: ${format}`);
+    const metadata = parseMetadata(req.get('upload-metadata'));
+    const name = metadata.filename || metadata.name || '';
+    const typeError = unsupportedType(name);
+    if (typeError) throw typeError;
+    const ext = path.extname(name).slice(1).toLowerCase();
+    const limit = ext ? uploadLimit(inputTypes(ext)) : maxUploadSize;
+    if (length > limit) throw fileTooLarge(name || 'The upload', length, limit);
+    const created = await createUpload({ length, metadata, owner: req.owner });
+    res.set({
+      Location: `${req.protocol}://${req.get('host')}/api/uploads/${created.id}`,
+      ...uploadHeaders(created),
+    });
+    res.status(201).json({ id: created.id, expiresAt: created.expiresAt });
+  } catch (err) {
+    console.warn(`Upload creation refused: ${err.message}`);
+    res.status(err.status || 500).json({ error: err.message });
   }
-}
+});
 
-async function convertMedia(inputPath, outputPath, format, inputExt) {
-  const supportedAudioFormats = ['aac', 'aiff', 'flac', 'm4v', 'mmf', 'ogg', 'opus', 'wav', 'wma', '3g2', 'mp3'];
-  const supportedVideoFormats = ['mp4', 'avi', 'mov', 'webm', 'mkv', 'flv', 'wmv', '3g2'];
-  if (!supportedAudioFormats.includes(format) && !supportedVideoFormats.includes(format)) {
-    throw new Error(`Unsupported media output format: ${format}`);
-  }
+app.head('/api/uploads/:id', requireTus, async (req, res) => {
   try {
-    await new Promise((resolve, reject) => {
-      const ffmpegInstance = ffmpeg(inputPath);
-      const isAudioInput = ['mp3', 'wav', 'aac', 'flac', 'ogg', 'opus', 'wma', 'aiff', 'mmf'].includes(inputExt);
-      const isVideoOutput = supportedVideoFormats.includes(format);
-
-      if (isVideoOutput && isAudioInput) {
-        ffmpegInstance
-          .input('color=c=black:s=320x240:r=25')
-          .inputFormat('lavfi')
-          .videoCodec('mpeg4')
-          .audioCodec('aac')
-          .outputOptions('-shortest', '-threads 1', '-preset ultrafast');
-      } else {
-        if (format === 'aac') {
-          ffmpegInstance.audioCodec('aac');
-        } else if (format === 'wma') {
-          ffmpegInstance.audioCodec('wmav2');
-        } else if (format === 'm4v' || format === '3g2') {
-          ffmpegInstance
-            .videoCodec('mpeg4')
-            .audioCodec('aac');
-        } else if (format === 'mmf') {
-          ffmpegInstance.audioCodec('pcm_s16le');
-        } else if (supportedVideoFormats.includes(format)) {
-          ffmpegInstance
-            .videoCodec('libx264')
-            .audioCodec('aac');
-        }
-      }
-
-      ffmpegInstance
-        .outputOptions('-threads 1', '-preset ultrafast')
-        .toFormat(format)
-        .on('start', (cmd) => console.log(`FFmpeg command: ${cmd}`))
-        .on('progress', (progress) => console.log(`Processing: ${progress.percent}% done`))
-        .on('end', () => {
-          console.log(`Media conversion completed: ${outputPath}`);
-          resolve();
-        })
-        .on('error', (err, stdout, stderr) => {
-          console.error(`Fluent-FFmpeg conversion error for ${format}: ${err.message}`, { stdout, stderr });
-          reject(err);
-        })
-        .save(outputPath);
+    const found = await getUpload(req.params.id, req.owner);
+    res.set({
+      'Upload-Offset': String(found.offset),
+      'Upload-Length': String(found.length),
+      ...(Object.keys(found.metadata).length && {
+        'Upload-Metadata': Object.entries(found.metadata).map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`).join(','),
+      }),
+      ...uploadHeaders(found),
     });
+    res.status(200).end();
   } catch (err) {
-    console.warn(`Fluent-FFmpeg failed, falling back to direct FFmpeg: ${err.message}`);
-    await new Promise((resolve, reject) => {
-      const cmd = `ffmpeg -i "${inputPath}" -threads 1 -preset ultrafast "${outputPath}"`;
-      exec(cmd, (err, stdout, stderr) => {
-        if (err) {
-          console.error(`Direct FFmpeg conversion failed for ${format}: ${err.message}`, { stdout, stderr });
-          return reject(new Error(`Media conversion failed: ${err.message}`));
-        }
-        console.log(`Direct FFmpeg conversion completed: ${outputPath}`);
-        resolve();
-      });
-    });
+    res.status(err.status || 500).end();
   }
-}
+});
 
-async function convertArchive(inputPath, outputPath, format) {
-  if (format === 'zip' || format === '7z') {
-    return new Promise((resolve, reject) => {
-      sevenZip.add(outputPath, inputPath, { $raw: { '-t': format } })
-        .on('end', () => {
-          console.log(`Archive conversion completed: ${outputPath}`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`Archive conversion error: ${err.message}`);
-          reject(new Error(`Archive conversion failed: ${err.message}`));
-        });
-    });
-  } else {
-    throw new Error(`Unsupported archive format: ${format}`);
+app.patch('/api/uploads/:id', requireTus, async (req, res) => {
+  try {
+    if (req.get('content-type') !== 'application/offset+octet-stream') {
+      const err = new Error('PATCH requests need Content-Type: application/offset+octet-stream.');
+      err.status = 415;
+      throw err;
+    }
+    const offset = Number(req.get('upload-offset'));
+    if (!req.get('upload-offset') || !Number.isSafeInteger(offset) || offset < 0) {
+      throw badRequest('Upload-Offset must be the byte offset of the chunk.');
+    }
+    const checksum = parseChecksum(req.get('upload-checksum'));
+    const found = await getUpload(req.params.id, req.owner);
+    const newOffset = await writeChunk(found, req, { offset, checksum });
+    res.set({ 'Upload-Offset': String(newOffset), ...uploadHeaders(found) });
+    res.status(204).end();
+  } catch (err) {
+    console.warn(`Upload chunk for ${req.params.id} refused: ${err.message}`);
+    if (!res.headersSent) res.status(err.status || 500).json({ error: err.message });
   }
-}
+});
 
-async function convertEbook(inputPath, outputPath, format) {
-  return new Promise((resolve, reject) => {
-    exec(`ebook-convert "${inputPath}" "${outputPath}"`, (err, stdout, stderr) => {
-      if (err) {
-        console.error(`Ebook conversion error: ${err.message}`, { stdout, stderr });
-        return reject(new Error(`Ebook conversion failed: ${err.message}`));
-      }
-      console.log(`Ebook conversion completed: ${outputPath}`);
-      resolve();
-    });
-  });
-}
+app.delete('/api/uploads/:id', requireTus, async (req, res) => {
+  try {
+    const found = await getUpload(req.params.id, req.owner);
+    await removeUpload(found.id);
+    console.log(`Resumable upload ${found.id} terminated`);
+    res.status(204).end();
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-async function cleanupFiles(filePaths) {
-  const maxRetries = 3;
-  const retryDelay = 1000;
-  const cleanupPromises = filePaths.map(async (filePath) => {
-    let attempts = 0;
-    while (attempts < maxRetries) {
-      try {
-        await fsPromises.access(filePath);
-        await fsPromises.unlink(filePath);
-        console.log(`Deleted file: ${filePath}`);
-        return;
-      } catch (err) {
-        if (err.code === 'ENOENT') {
-          console.log(`File not found for deletion: ${filePath}`);
-          return;
-        }
-        if (err.code === 'EPERM') {
-          attempts++;
-          console.warn(`EPERM error on attempt ${attempts} for ${filePath}. Retrying in ${retryDelay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          if (attempts === maxRetries) {
-            console.error(`Failed to delete file ${filePath} after ${maxRetries} attempts: ${err.message}`);
-          }
-        } else {
-          console.error(`Error deleting file ${filePath}:`, err);
-          break;
-        }
-      }
-    }
-  });
-  await Promise.all(cleanupPromises);
-}
+// Errors raised before a route handler runs: files over the upload limit, rejected types
+app.use((err, req, res, next) => {
+  const status = err instanceof multer.MulterError
+    ? (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400)
+    : err.status || 500;
+  console.error(`${req.method} ${req.originalUrl} failed: ${err.message}`);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: status === 413 ? `Files may be at most ${Math.round(maxUploadSize / 1024 / 1024)} MB.` : err.message });
+});
 
 // Start server with delay
 (async () => {
   try {
     // Delay server start to ensure directories are ready
-    setTimeout(() => {
+    setTimeout(async () => {
+      await startSweeper();
       app.listen(port, '0.0.0.0', () => {
         console.log(`Server running on http://0.0.0.0:${port}`);
       });